@@ -1,10 +1,12 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Role = require('../models/Role');
 
-// Generate JWT token
+// Generate a short-lived JWT access token; sessions are kept going with refresh tokens.
+// iatMs records the issue time to the millisecond for revocation checks.
 const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
+  return jwt.sign({ userId, iatMs: Date.now() }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRE || '15m'
   });
 };
 
@@ -17,6 +19,11 @@ const verifyToken = (token) => {
   }
 };
 
+// When a decoded token was issued, in milliseconds. Tokens from before iatMs
+// existed fall back to the start of their iat second, so a revocation in that
+// second still rejects them.
+const issuedAtMs = (decoded) => decoded.iatMs || decoded.iat * 1000;
+
 // Authentication middleware
 const authenticate = async (req, res, next) => {
   try {
@@ -53,6 +60,14 @@ const authenticate = async (req, res, next) => {
         message: 'Account is deactivated.'
       });
     }
+
+    // Signed out everywhere, or the password changed, since the token was issued
+    if (user.tokenRevoked(issuedAtMs(decoded))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Token has been revoked. Please log in again.'
+      });
+    }
     
     req.user = user;
     next();
@@ -64,35 +79,59 @@ const authenticate = async (req, res, next) => {
   }
 };
 
-// Role-based authorization middleware
-const authorize = (...roles) => {
-  return (req, res, next) => {
+// Permission-based authorization middleware; every listed permission is required
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
         success: false,
         message: 'Authentication required.'
       });
     }
-    
-    if (!roles.includes(req.user.role)) {
+
+    try {
+      // Resolved once per request
+      if (!req.permissions) {
+        req.permissions = await Role.permissionsFor(req.user);
+      }
+    } catch (error) {
+      console.log('Permission Check Error: ', error);
+      return res.json({
+        success: false,
+        message: 'Internal Server Error'
+      });
+    }
+
+    const missing = permissions.filter(permission => !req.permissions.includes(permission));
+    if (missing.length > 0) {
       return res.status(403).json({
         success: false,
-        message: `Access denied. Required role: ${roles.join(' or ')}`
+        message: `Access denied. Required permission: ${missing.join(', ')}`
       });
     }
-    
+
     next();
   };
 };
 
-// Admin only middleware
-const adminOnly = authorize('admin');
-
-// VIP or Admin middleware
-const vipOrAdmin = authorize('vip', 'admin');
+// Requires a verified email address (e.g. to take part in contests)
+const verifiedEmail = (req, res, next) => {
+  if (!req.user.emailVerified) {
+    return res.status(403).json({
+      success: false,
+      message: 'Please verify your email address first.'
+    });
+  }
+  next();
+};
 
-// Normal user or above middleware
-const userOrAbove = authorize('normal', 'vip', 'admin');
+// Accept the token as ?token= for clients that cannot send headers (e.g. EventSource)
+const tokenFromQuery = (req, res, next) => {
+  if (!req.headers.authorization && req.query.token) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+};
 
 // Optional authentication middleware (for guest access)
 const optionalAuth = async (req, res, next) => {
@@ -107,7 +146,7 @@ const optionalAuth = async (req, res, next) => {
       const decoded = verifyToken(token);
       const user = await User.findById(decoded.userId).select('-password');
       
-      if (user && user.isActive) {
+      if (user && user.isActive && !user.tokenRevoked(issuedAtMs(decoded))) {
         req.user = user;
       }
     }
@@ -123,9 +162,8 @@ module.exports = {
   generateToken,
   verifyToken,
   authenticate,
-  authorize,
-  adminOnly,
-  vipOrAdmin,
-  userOrAbove,
+  requirePermission,
+  verifiedEmail,
+  tokenFromQuery,
   optionalAuth
 };
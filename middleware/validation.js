@@ -1,8 +1,273 @@
 const Joi = require('joi');
+const { QUESTION_TYPES } = require('../models/questionContent');
+const { RANKING_METHODS, TIE_BREAKERS, TEAM_AGGREGATIONS, MAX_DRAW_POOL } = require('../models/contestSettings');
+const { PERMISSIONS } = require('../models/permissions');
+
+// A prize tier covers either a rank range (fromRank-toRank) or the top N percent
+const prizeTier = Joi.object({
+  label: Joi.string().trim().max(50),
+  prize: Joi.string().trim().min(1).max(200).required()
+    .messages({
+      'string.empty': 'Tier prize is required',
+      'string.max': 'Tier prize cannot exceed 200 characters'
+    }),
+  fromRank: Joi.number().integer().min(1),
+  toRank: Joi.number().integer().min(Joi.ref('fromRank'))
+    .messages({
+      'number.min': 'Tier toRank must be greater than or equal to fromRank'
+    }),
+  topPercent: Joi.number().greater(0).max(100),
+  minScore: Joi.number()
+}).xor('fromRank', 'topPercent').with('toRank', 'fromRank')
+  .messages({
+    'object.xor': 'Prize tier must have either fromRank or topPercent, not both',
+    'object.missing': 'Prize tier must have either fromRank or topPercent'
+  });
+
+// Scoring settings; penalties are fractions of each question's points
+const scoring = Joi.object({
+  mode: Joi.string().valid('all-or-nothing', 'partial')
+    .messages({
+      'any.only': 'Scoring mode must be all-or-nothing or partial'
+    }),
+  wrongAnswerPenalty: Joi.number().min(0).max(1),
+  skipPenalty: Joi.number().min(0).max(1),
+  scoreFloor: Joi.number().allow(null)
+});
+
+// Options list for choice and ordering questions
+const optionList = (isCorrect) => Joi.array().items(
+  Joi.object({
+    option: Joi.string().trim().min(1).max(200).required()
+      .messages({
+        'string.empty': 'Option text is required',
+        'string.max': 'Option text cannot exceed 200 characters'
+      }),
+    isCorrect
+  })
+).min(2).max(10).required()
+  .messages({
+    'array.min': 'At least 2 options are required',
+    'array.max': 'Maximum 10 options allowed'
+  });
+
+// Question content shared by contest questions and the question bank
+const questionKeys = {
+  questionText: Joi.string().trim().min(10).max(500).required()
+    .messages({
+      'string.empty': 'Question text is required',
+      'string.min': 'Question text must be at least 10 characters',
+      'string.max': 'Question text cannot exceed 500 characters'
+    }),
+  type: Joi.string().valid(...QUESTION_TYPES).required()
+    .messages({
+      'any.only': 'Question type must be single-select, multi-select, true-false, numeric, short-text, or ordering'
+    }),
+  // Choice questions flag correct options; ordering questions list options in the correct order
+  options: Joi.when('type', {
+    switch: [
+      { is: Joi.valid('numeric', 'short-text'), then: Joi.forbidden() },
+      { is: 'ordering', then: optionList(Joi.boolean().default(false)) }
+    ],
+    otherwise: optionList(Joi.boolean().required())
+  }),
+  numericAnswer: Joi.when('type', {
+    is: 'numeric',
+    then: Joi.object({
+      value: Joi.number().required()
+        .messages({
+          'any.required': 'Numeric answer value is required'
+        }),
+      tolerance: Joi.number().min(0).default(0)
+    }).required(),
+    otherwise: Joi.forbidden()
+  }),
+  acceptedAnswers: Joi.when('type', {
+    is: 'short-text',
+    then: Joi.array().items(Joi.string().trim().min(1).max(200)).min(1).max(20).required()
+      .messages({
+        'array.min': 'At least one accepted answer is required',
+        'array.max': 'Maximum 20 accepted answers allowed'
+      }),
+    otherwise: Joi.forbidden()
+  }),
+  caseSensitive: Joi.boolean().default(false),
+  normalizeWhitespace: Joi.boolean().default(true),
+  points: Joi.number().integer().min(1).max(10).default(1)
+
+};
+
+// A random draw from the question bank
+const questionDraw = Joi.object({
+  tags: Joi.array().items(Joi.string().trim().lowercase().min(1).max(50)).max(20),
+  category: Joi.string().trim().max(100),
+  difficulty: Joi.string().valid('easy', 'medium', 'hard'),
+  count: Joi.number().integer().min(1).max(100).required()
+    .messages({
+      'any.required': 'Draw count is required'
+    }),
+  // Per-participant draws sample this many questions as the pool to deal from
+  poolSize: Joi.number().integer().min(Joi.ref('count')).max(MAX_DRAW_POOL).allow(null)
+    .messages({
+      'number.min': 'Pool size cannot be smaller than the draw count',
+      'number.max': `Pool size cannot exceed ${MAX_DRAW_POOL}`
+    })
+});
+
+// Rank order for tied scores; an empty tieBreakers list lets equal scores share a rank
+const ranking = Joi.object({
+  method: Joi.string().valid(...RANKING_METHODS)
+    .messages({
+      'any.only': 'Ranking method must be ordinal, competition, or dense'
+    }),
+  tieBreakers: Joi.array().items(Joi.string().valid(...TIE_BREAKERS)).unique()
+    .messages({
+      'any.only': 'Tie-breakers must be correctAnswers, timeSpent, or submittedAt',
+      'array.unique': 'Each tie-breaker can only be listed once'
+    })
+});
+
+// Team contest settings; team prize tiers rank teams rather than participants
+const teamMode = Joi.object({
+  enabled: Joi.boolean(),
+  aggregation: Joi.string().valid(...TEAM_AGGREGATIONS)
+    .messages({
+      'any.only': 'Team aggregation must be sum, average, or best-n'
+    }),
+  bestN: Joi.number().integer().min(1).max(100),
+  maxMembersPerTeam: Joi.number().integer().min(1).max(1000).allow(null),
+  prizeTiers: Joi.array().items(prizeTier).max(20)
+    .messages({
+      'array.max': 'Maximum 20 team prize tiers allowed'
+    })
+});
+
+// Contest settings without defaults, for updates, copies and template overrides
+const contestSettingKeys = {
+  description: Joi.string().trim().min(10).max(500),
+  type: Joi.string().valid('NORMAL', 'VIP'),
+  prizeInfo: Joi.string().trim().min(5).max(200),
+  prizeWinners: Joi.number().integer().min(0).max(100),
+  prizeTiers: Joi.array().items(prizeTier).max(20),
+  prizeTiePolicy: Joi.string().valid('share', 'strict'),
+  answerReveal: Joi.string().valid('after-submission', 'after-end', 'never'),
+  maxParticipants: Joi.number().integer().min(1).max(10000),
+  durationMinutes: Joi.number().integer().min(1).max(1440).allow(null),
+  latePolicy: Joi.string().valid('reject', 'accept', 'penalize'),
+  lateGraceSeconds: Joi.number().integer().min(0).max(3600),
+  latePenaltyPercent: Joi.number().min(0).max(100),
+  scoring,
+  ranking,
+  shuffleQuestions: Joi.boolean(),
+  shuffleOptions: Joi.boolean(),
+  questionDraws: Joi.array().items(questionDraw).max(20),
+  drawMode: Joi.string().valid('per-contest', 'per-participant'),
+  teamMode
+};
+
+// Recurring contest schedule; time is local to utcOffsetMinutes
+const schedule = Joi.object({
+  enabled: Joi.boolean().default(true),
+  frequency: Joi.string().valid('daily', 'weekly').default('weekly')
+    .messages({
+      'any.only': 'Frequency must be daily or weekly'
+    }),
+  dayOfWeek: Joi.when('frequency', {
+    is: 'daily',
+    then: Joi.forbidden(),
+    otherwise: Joi.number().integer().min(0).max(6).required()
+  })
+    .messages({
+      'any.required': 'Day of week (0 = Sunday) is required for weekly schedules'
+    }),
+  time: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).required()
+    .messages({
+      'string.pattern.base': 'Time must be in HH:MM format'
+    }),
+  utcOffsetMinutes: Joi.number().integer().min(-720).max(840).default(0),
+  createAheadHours: Joi.number().integer().min(1).max(720).default(24)
+});
+
+const templateName = Joi.string().trim().min(3).max(100)
+  .messages({
+    'string.empty': 'Template name is required',
+    'string.min': 'Template name must be at least 3 characters',
+    'string.max': 'Template name cannot exceed 100 characters'
+  });
+
+const templateKeys = {
+  name: templateName,
+  contestName: Joi.string().trim().min(3).max(100),
+  ...contestSettingKeys,
+  contestDurationMinutes: Joi.number().integer().min(1).max(43200)
+    .messages({
+      'number.max': 'Contest duration cannot exceed 30 days'
+    }),
+  questions: Joi.array().items(Joi.object(questionKeys)).max(200),
+  schedule
+};
+
+// Registration window; closing is checked against the contest's end by the model
+const registrationWindow = {
+  registrationOpensAt: Joi.date().allow(null),
+  registrationClosesAt: Joi.date().allow(null)
+    .when('registrationOpensAt', {
+      is: Joi.date().required(),
+      then: Joi.date().greater(Joi.ref('registrationOpensAt'))
+    })
+    .messages({
+      'date.greater': 'Registration must close after it opens'
+    })
+};
+
+const objectId = Joi.string().hex().length(24)
+  .messages({
+    'string.length': 'Invalid id',
+    'string.hex': 'Invalid id'
+  });
+
+const teamName = Joi.string().trim().min(3).max(50)
+  .messages({
+    'string.empty': 'Team name is required',
+    'string.min': 'Team name must be at least 3 characters',
+    'string.max': 'Team name cannot exceed 50 characters'
+  });
+
+// Season a contest counts towards; null takes it out of its season
+const seasonId = Joi.string().hex().length(24).allow(null)
+  .messages({
+    'string.length': 'Invalid season id',
+    'string.hex': 'Invalid season id'
+  });
+
+const seasonKeys = {
+  name: Joi.string().trim().min(3).max(100)
+    .messages({
+      'string.empty': 'Season name is required',
+      'string.min': 'Season name must be at least 3 characters',
+      'string.max': 'Season name cannot exceed 100 characters'
+    }),
+  description: Joi.string().trim().max(500),
+  startDate: Joi.date(),
+  // Checked against the stored start date by the handler when only one is given
+  endDate: Joi.date()
+    .when('startDate', { is: Joi.exist(), then: Joi.date().greater(Joi.ref('startDate')) })
+    .messages({
+      'date.greater': 'End date must be after start date'
+    })
+};
+
+// A single answer: option indices (in order, for ordering questions), a number, or text.
+// Left empty, it counts as skipped
+const answer = {
+  selectedOptions: Joi.array().items(Joi.number().integer().min(0)).default([]),
+  numericAnswer: Joi.number().allow(null),
+  textAnswer: Joi.string().trim().max(500).allow('')
+};
 
 // Validation schemas
 const schemas = {
-  // User validation schemas
+  // User validation schemas; accounts always start as normal users (VIP is granted separately)
   register: Joi.object({
     name: Joi.string().trim().min(2).max(50).required()
       .messages({
@@ -20,8 +285,7 @@ const schemas = {
         'string.empty': 'Password is required',
         'string.min': 'Password must be at least 6 characters',
         'string.max': 'Password cannot exceed 128 characters'
-      }),
-    role: Joi.string().valid('normal', 'vip').default('normal')
+      })
   }),
 
   login: Joi.object({
@@ -36,6 +300,46 @@ const schemas = {
       })
   }),
 
+  // Refresh token exchange and logout
+  refreshToken: Joi.object({
+    refreshToken: Joi.string().trim().max(200).required()
+      .messages({
+        'string.empty': 'Refresh token is required',
+        'any.required': 'Refresh token is required'
+      })
+  }),
+
+  // Emailed token flows
+  verifyEmail: Joi.object({
+    token: Joi.string().trim().max(200).required()
+      .messages({
+        'string.empty': 'Verification token is required',
+        'any.required': 'Verification token is required'
+      })
+  }),
+
+  forgotPassword: Joi.object({
+    email: Joi.string().email().lowercase().required()
+      .messages({
+        'string.empty': 'Email is required',
+        'string.email': 'Please enter a valid email address'
+      })
+  }),
+
+  resetPassword: Joi.object({
+    token: Joi.string().trim().max(200).required()
+      .messages({
+        'string.empty': 'Reset token is required',
+        'any.required': 'Reset token is required'
+      }),
+    password: Joi.string().min(6).max(128).required()
+      .messages({
+        'string.empty': 'Password is required',
+        'string.min': 'Password must be at least 6 characters',
+        'string.max': 'Password cannot exceed 128 characters'
+      })
+  }),
+
   // Contest validation schemas
   createContest: Joi.object({
     name: Joi.string().trim().min(3).max(100).required()
@@ -68,54 +372,286 @@ const schemas = {
         'string.min': 'Prize info must be at least 5 characters',
         'string.max': 'Prize info cannot exceed 200 characters'
       }),
-    maxParticipants: Joi.number().integer().min(1).max(10000).default(1000)
+    prizeWinners: Joi.number().integer().min(0).max(100).default(1),
+    prizeTiers: Joi.array().items(prizeTier).max(20)
+      .messages({
+        'array.max': 'Maximum 20 prize tiers allowed'
+      }),
+    prizeTiePolicy: Joi.string().valid('share', 'strict').default('share'),
+    answerReveal: Joi.string().valid('after-submission', 'after-end', 'never').default('after-end')
+      .messages({
+        'any.only': 'Answer reveal must be after-submission, after-end, or never'
+      }),
+    maxParticipants: Joi.number().integer().min(1).max(10000).default(1000),
+    durationMinutes: Joi.number().integer().min(1).max(1440).allow(null)
+      .messages({
+        'number.min': 'Duration must be at least 1 minute',
+        'number.max': 'Duration cannot exceed 1440 minutes'
+      }),
+    latePolicy: Joi.string().valid('reject', 'accept', 'penalize').default('reject')
+      .messages({
+        'any.only': 'Late policy must be reject, accept, or penalize'
+      }),
+    lateGraceSeconds: Joi.number().integer().min(0).max(3600).default(0),
+    latePenaltyPercent: Joi.number().min(0).max(100).default(0),
+    scoring,
+    ranking,
+    shuffleQuestions: Joi.boolean().default(false),
+    shuffleOptions: Joi.boolean().default(false),
+    questionDraws: Joi.array().items(questionDraw).max(20),
+    drawMode: Joi.string().valid('per-contest', 'per-participant').default('per-contest')
+      .messages({
+        'any.only': 'Draw mode must be per-contest or per-participant'
+      }),
+    teamMode,
+    seasonId,
+    ...registrationWindow
   }),
 
   updateContest: Joi.object({
     name: Joi.string().trim().min(3).max(100),
-    description: Joi.string().trim().min(10).max(500),
-    type: Joi.string().valid('NORMAL', 'VIP'),
+    ...contestSettingKeys,
+    seasonId,
     startTime: Joi.date().greater('now'),
     endTime: Joi.date().greater(Joi.ref('startTime')),
-    prizeInfo: Joi.string().trim().min(5).max(200),
-    maxParticipants: Joi.number().integer().min(1).max(10000)
+    ...registrationWindow
   }).min(1), // At least one field must be provided
 
+  // Clone a contest or create one from a template; anything else given overrides the copy
+  copyContest: Joi.object({
+    name: Joi.string().trim().min(3).max(100),
+    ...contestSettingKeys,
+    startTime: Joi.date().greater('now').required()
+      .messages({
+        'date.greater': 'Start time must be in the future'
+      }),
+    endTime: Joi.date().greater(Joi.ref('startTime'))
+      .messages({
+        'date.greater': 'End time must be after start time'
+      })
+  }),
+
+  // Contest template validation schemas
+  createTemplate: Joi.object(templateKeys)
+    .fork(['name', 'contestName', 'description', 'type', 'prizeInfo', 'contestDurationMinutes'], (key) => key.required()),
+
+  updateTemplate: Joi.object(templateKeys).min(1),
+
+  saveTemplate: Joi.object({
+    name: templateName.required(),
+    schedule
+  }),
+
+  // Season validation schemas
+  createSeason: Joi.object(seasonKeys)
+    .fork(['name', 'startDate', 'endDate'], (key) => key.required()),
+
+  updateSeason: Joi.object(seasonKeys).min(1),
+
+  // Team validation schemas
+  createTeam: Joi.object({
+    name: teamName.required(),
+    description: Joi.string().trim().max(300)
+  }),
+
+  updateTeam: Joi.object({
+    name: teamName,
+    description: Joi.string().trim().max(300)
+  }).min(1),
+
+  inviteMember: Joi.object({
+    email: Joi.string().email().lowercase().required()
+      .messages({
+        'string.empty': 'Email is required',
+        'string.email': 'Please enter a valid email address'
+      })
+  }),
+
+  transferCaptain: Joi.object({
+    userId: objectId.required()
+  }),
+
+  registerTeam: Joi.object({
+    teamId: objectId.required()
+  }),
+
+  // Team contests: the team to compete for, needed only by members of several entered teams
+  joinContest: Joi.object({
+    teamId: objectId
+  }),
+
   // Question validation schemas
-  addQuestion: Joi.object({
-    questionText: Joi.string().trim().min(10).max(500).required()
+  addQuestion: Joi.object(questionKeys),
+
+  // Question bank validation schemas
+  bankQuestion: Joi.object({
+    ...questionKeys,
+    tags: Joi.array().items(Joi.string().trim().lowercase().min(1).max(50)).max(20).default([]),
+    difficulty: Joi.string().valid('easy', 'medium', 'hard').default('medium')
       .messages({
-        'string.empty': 'Question text is required',
-        'string.min': 'Question text must be at least 10 characters',
-        'string.max': 'Question text cannot exceed 500 characters'
+        'any.only': 'Difficulty must be easy, medium, or hard'
       }),
-    type: Joi.string().valid('single-select', 'multi-select', 'true-false').required()
+    category: Joi.string().trim().max(100)
+  }),
+
+  attachQuestions: Joi.object({
+    questionIds: Joi.array().items(Joi.string().hex().length(24)).min(1).max(100).required()
+      .messages({
+        'array.min': 'At least one question is required',
+        'string.length': 'Invalid question id',
+        'string.hex': 'Invalid question id'
+      })
+  }),
+
+  // Bulk question import; each question is checked against addQuestion by the handler
+  importQuestions: Joi.object({
+    format: Joi.string().valid('json', 'csv', 'gift').required()
       .messages({
-        'any.only': 'Question type must be single-select, multi-select, or true-false'
+        'any.only': 'Format must be json, csv, or gift'
       }),
-    options: Joi.array().items(
-      Joi.object({
-        option: Joi.string().trim().min(1).max(200).required()
-          .messages({
-            'string.empty': 'Option text is required',
-            'string.max': 'Option text cannot exceed 200 characters'
-          }),
-        isCorrect: Joi.boolean().required()
+    content: Joi.string().max(2000000).required()
+      .messages({
+        'string.empty': 'Import content is required',
+        'string.max': 'Import content cannot exceed 2,000,000 characters'
+      }),
+    dryRun: Joi.boolean().default(false)
+  }),
+
+  // Prize workflow validation schemas
+  claimPrize: Joi.object({
+    deliveryDetails: Joi.object({
+      fullName: Joi.string().trim().min(2).max(100).required()
+        .messages({
+          'string.empty': 'Full name is required',
+          'string.max': 'Full name cannot exceed 100 characters'
+        }),
+      email: Joi.string().email().lowercase()
+        .messages({
+          'string.email': 'Please enter a valid email address'
+        }),
+      phone: Joi.string().trim().max(30),
+      address: Joi.string().trim().min(5).max(300).required()
+        .messages({
+          'string.empty': 'Address is required',
+          'string.max': 'Address cannot exceed 300 characters'
+        }),
+      city: Joi.string().trim().max(100).required(),
+      postalCode: Joi.string().trim().max(20),
+      country: Joi.string().trim().max(100).required()
+    }).required()
+  }),
+
+  prizeAction: Joi.object({
+    note: Joi.string().trim().max(500)
+  }),
+
+  rejectPrize: Joi.object({
+    note: Joi.string().trim().min(3).max(500).required()
+      .messages({
+        'string.empty': 'A reason for rejection is required',
+        'any.required': 'A reason for rejection is required'
+      })
+  }),
+
+  fulfilPrize: Joi.object({
+    note: Joi.string().trim().max(500),
+    fulfilmentReference: Joi.string().trim().max(200)
+  }),
+
+  // User management validation schemas
+  changeRole: Joi.object({
+    role: Joi.string().valid('admin', 'vip', 'normal', 'guest').required()
+      .messages({
+        'any.only': 'Role must be admin, vip, normal, or guest',
+        'any.required': 'Role is required'
+      }),
+    note: Joi.string().trim().max(500)
+  }),
+
+  changeUserStatus: Joi.object({
+    isActive: Joi.boolean().required()
+      .messages({
+        'any.required': 'isActive is required'
       })
-    ).min(2).max(10).required()
+  }),
+
+  // Staff role validation schemas
+  createRole: Joi.object({
+    name: Joi.string().trim().lowercase().pattern(/^[a-z][a-z0-9-]*$/).max(50).required()
       .messages({
-        'array.min': 'At least 2 options are required',
-        'array.max': 'Maximum 10 options allowed'
+        'string.empty': 'Role name is required',
+        'string.pattern.base': 'Role name may only contain letters, numbers and dashes',
+        'string.max': 'Role name cannot exceed 50 characters'
       }),
-    points: Joi.number().integer().min(1).max(10).default(1)
+    description: Joi.string().trim().max(300),
+    permissions: Joi.array().items(Joi.string().valid(...PERMISSIONS)).unique().required()
+      .messages({
+        'any.only': 'Unknown permission'
+      })
   }),
 
+  updateRole: Joi.object({
+    name: Joi.string().trim().lowercase().pattern(/^[a-z][a-z0-9-]*$/).max(50)
+      .messages({
+        'string.pattern.base': 'Role name may only contain letters, numbers and dashes',
+        'string.max': 'Role name cannot exceed 50 characters'
+      }),
+    description: Joi.string().trim().max(300).allow(''),
+    permissions: Joi.array().items(Joi.string().valid(...PERMISSIONS)).unique()
+      .messages({
+        'any.only': 'Unknown permission'
+      })
+  }).min(1),
+
+  assignRoles: Joi.object({
+    roleIds: Joi.array().items(objectId).max(20).required()
+  }),
+
+  // VIP membership validation schemas
+  grantVip: Joi.object({
+    // Omit for a permanent membership
+    expiresAt: Joi.date().iso().greater('now')
+      .messages({
+        'date.greater': 'Expiry date must be in the future'
+      }),
+    note: Joi.string().trim().max(500)
+  }),
+
+  revokeVip: Joi.object({
+    note: Joi.string().trim().max(500)
+  }),
+
+  createVipCodes: Joi.object({
+    count: Joi.number().integer().min(1).max(100).default(1)
+      .messages({
+        'number.max': 'At most 100 codes can be created at once'
+      }),
+    // null grants permanent VIP
+    durationDays: Joi.number().integer().min(1).max(3650).allow(null).default(null),
+    maxRedemptions: Joi.number().integer().min(1).max(100000).default(1),
+    expiresAt: Joi.date().iso().greater('now')
+      .messages({
+        'date.greater': 'Expiry date must be in the future'
+      }),
+    note: Joi.string().trim().max(500)
+  }),
+
+  redeemVipCode: Joi.object({
+    code: Joi.string().trim().uppercase().max(40).required()
+      .messages({
+        'string.empty': 'Code is required'
+      })
+  }),
+
+  // Draft answer validation schema (one question at a time)
+  saveAnswer: Joi.object(answer),
+
   // Answer submission validation schema
   submitAnswers: Joi.object({
     answers: Joi.array().items(
       Joi.object({
         questionIndex: Joi.number().integer().min(0).required(),
-        selectedOptions: Joi.array().items(Joi.number().integer().min(0)).required()
+        ...answer
       })
     ).required()
       .messages({
@@ -155,18 +691,87 @@ const validate = (schema) => {
 // Specific validation middlewares
 const validateRegister = validate(schemas.register);
 const validateLogin = validate(schemas.login);
+const validateRefreshToken = validate(schemas.refreshToken);
+const validateVerifyEmail = validate(schemas.verifyEmail);
+const validateForgotPassword = validate(schemas.forgotPassword);
+const validateResetPassword = validate(schemas.resetPassword);
 const validateCreateContest = validate(schemas.createContest);
 const validateUpdateContest = validate(schemas.updateContest);
+const validateCopyContest = validate(schemas.copyContest);
+const validateCreateTemplate = validate(schemas.createTemplate);
+const validateUpdateTemplate = validate(schemas.updateTemplate);
+const validateSaveTemplate = validate(schemas.saveTemplate);
+const validateCreateSeason = validate(schemas.createSeason);
+const validateUpdateSeason = validate(schemas.updateSeason);
+const validateCreateTeam = validate(schemas.createTeam);
+const validateUpdateTeam = validate(schemas.updateTeam);
+const validateInviteMember = validate(schemas.inviteMember);
+const validateTransferCaptain = validate(schemas.transferCaptain);
+const validateRegisterTeam = validate(schemas.registerTeam);
+const validateJoinContest = validate(schemas.joinContest);
 const validateAddQuestion = validate(schemas.addQuestion);
+const validateBankQuestion = validate(schemas.bankQuestion);
+const validateAttachQuestions = validate(schemas.attachQuestions);
+const validateImportQuestions = validate(schemas.importQuestions);
 const validateSubmitAnswers = validate(schemas.submitAnswers);
+const validateSaveAnswer = validate(schemas.saveAnswer);
+const validateClaimPrize = validate(schemas.claimPrize);
+const validatePrizeAction = validate(schemas.prizeAction);
+const validateRejectPrize = validate(schemas.rejectPrize);
+const validateFulfilPrize = validate(schemas.fulfilPrize);
+// New admins are created with the same details as a registration
+const validateCreateAdmin = validate(schemas.register);
+const validateChangeRole = validate(schemas.changeRole);
+const validateChangeUserStatus = validate(schemas.changeUserStatus);
+const validateCreateRole = validate(schemas.createRole);
+const validateUpdateRole = validate(schemas.updateRole);
+const validateAssignRoles = validate(schemas.assignRoles);
+const validateGrantVip = validate(schemas.grantVip);
+const validateRevokeVip = validate(schemas.revokeVip);
+const validateCreateVipCodes = validate(schemas.createVipCodes);
+const validateRedeemVipCode = validate(schemas.redeemVipCode);
 
 module.exports = {
   validate,
   validateRegister,
   validateLogin,
+  validateRefreshToken,
+  validateVerifyEmail,
+  validateForgotPassword,
+  validateResetPassword,
   validateCreateContest,
   validateUpdateContest,
+  validateCopyContest,
+  validateCreateTemplate,
+  validateUpdateTemplate,
+  validateSaveTemplate,
+  validateCreateSeason,
+  validateUpdateSeason,
+  validateCreateTeam,
+  validateUpdateTeam,
+  validateInviteMember,
+  validateTransferCaptain,
+  validateRegisterTeam,
+  validateJoinContest,
   validateAddQuestion,
+  validateBankQuestion,
+  validateAttachQuestions,
+  validateImportQuestions,
   validateSubmitAnswers,
+  validateSaveAnswer,
+  validateClaimPrize,
+  validatePrizeAction,
+  validateRejectPrize,
+  validateFulfilPrize,
+  validateCreateAdmin,
+  validateChangeRole,
+  validateChangeUserStatus,
+  validateCreateRole,
+  validateUpdateRole,
+  validateAssignRoles,
+  validateGrantVip,
+  validateRevokeVip,
+  validateCreateVipCodes,
+  validateRedeemVipCode,
   schemas
 };
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { CHOICE_TYPES } = require('./questionContent');
+const { contestSettingsFields, prizeTiersError, questionsError } = require('./contestSettings');
 
 const contestSchema = new mongoose.Schema({
   name: {
@@ -7,17 +9,7 @@ const contestSchema = new mongoose.Schema({
     trim: true,
     maxlength: [100, 'Contest name cannot exceed 100 characters']
   },
-  description: {
-    type: String,
-    required: [true, 'Contest description is required'],
-    trim: true,
-    maxlength: [500, 'Description cannot exceed 500 characters']
-  },
-  type: {
-    type: String,
-    enum: ['NORMAL', 'VIP'],
-    required: [true, 'Contest type is required']
-  },
+  ...contestSettingsFields,
   startTime: {
     type: Date,
     required: [true, 'Start time is required']
@@ -32,11 +24,20 @@ const contestSchema = new mongoose.Schema({
       message: 'End time must be after start time'
     }
   },
-  prizeInfo: {
-    type: String,
-    required: [true, 'Prize information is required'],
-    trim: true,
-    maxlength: [200, 'Prize info cannot exceed 200 characters']
+  // Registration window; null opens registration on creation and keeps it open until the end
+  registrationOpensAt: {
+    type: Date,
+    default: null
+  },
+  registrationClosesAt: {
+    type: Date,
+    default: null,
+    validate: {
+      validator: function(closesAt) {
+        return !closesAt || closesAt <= this.endTime;
+      },
+      message: 'Registration must close by the end of the contest'
+    }
   },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -48,42 +49,58 @@ const contestSchema = new mongoose.Schema({
     enum: ['UPCOMING', 'ONGOING', 'ENDED'],
     default: 'UPCOMING'
   },
-  questions: [{
-    questionText: {
-      type: String,
-      required: [true, 'Question text is required'],
-      trim: true,
-      maxlength: [500, 'Question text cannot exceed 500 characters']
+  // Transitions whose hooks have not finished running yet (retried by the lifecycle scheduler)
+  pendingHooks: [{
+    type: String,
+    enum: ['ONGOING', 'ENDED']
+  }],
+  finalizedAt: {
+    type: Date,
+    default: null
+  },
+  // When the final placements were applied to participants' ratings
+  ratedAt: {
+    type: Date,
+    default: null
+  },
+  questionsDrawnAt: {
+    type: Date,
+    default: null
+  },
+  // Season whose standings this contest counts towards, if any
+  seasonId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Season',
+    default: null
+  },
+  // Template this contest was created from, if any
+  templateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ContestTemplate',
+    default: null
+  },
+  // Teams entered by their captains (team mode only)
+  teamEntries: [{
+    teamId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Team',
+      required: [true, 'Team ID is required']
     },
-    type: {
-      type: String,
-      enum: ['single-select', 'multi-select', 'true-false'],
-      required: [true, 'Question type is required']
+    registeredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
     },
-    options: [{
-      option: {
-        type: String,
-        required: [true, 'Option text is required'],
-        trim: true,
-        maxlength: [200, 'Option text cannot exceed 200 characters']
-      },
-      isCorrect: {
-        type: Boolean,
-        required: [true, 'isCorrect flag is required']
-      }
-    }],
-    points: {
-      type: Number,
-      default: 1,
-      min: [1, 'Points must be at least 1']
+    registeredAt: {
+      type: Date,
+      default: Date.now
     }
   }],
-  maxParticipants: {
+  currentParticipants: {
     type: Number,
-    default: 1000,
-    min: [1, 'Max participants must be at least 1']
+    default: 0
   },
-  currentParticipants: {
+  // Seats taken by registrations, joined or not
+  registeredCount: {
     type: Number,
     default: 0
   },
@@ -100,7 +117,15 @@ const contestSchema = new mongoose.Schema({
 contestSchema.index({ startTime: 1, endTime: 1 });
 contestSchema.index({ type: 1 });
 contestSchema.index({ status: 1 });
+contestSchema.index({ status: 1, startTime: 1 });
+contestSchema.index({ status: 1, endTime: 1 });
 contestSchema.index({ createdBy: 1 });
+contestSchema.index({ seasonId: 1 });
+// A schedule creates at most one contest per start time
+contestSchema.index(
+  { templateId: 1, startTime: 1 },
+  { unique: true, partialFilterExpression: { templateId: { $type: 'objectId' } } }
+);
 
 // Virtual for checking if contest is currently active
 contestSchema.virtual('isCurrentlyActive').get(function() {
@@ -108,48 +133,82 @@ contestSchema.virtual('isCurrentlyActive').get(function() {
   return now >= this.startTime && now <= this.endTime && this.status === 'ONGOING';
 });
 
-// Method to update contest status based on time
-contestSchema.methods.updateStatus = function() {
-  const now = new Date();
-  
+// Status the contest should be in at the given time
+contestSchema.methods.expectedStatus = function(now = new Date()) {
   if (now < this.startTime) {
-    this.status = 'UPCOMING';
+    return 'UPCOMING';
   } else if (now >= this.startTime && now <= this.endTime) {
-    this.status = 'ONGOING';
-  } else {
-    this.status = 'ENDED';
+    return 'ONGOING';
+  }
+  return 'ENDED';
+};
+
+// Why a new registration is not accepted at the given time, or null if it is
+contestSchema.methods.registrationError = function(now = new Date()) {
+  if (this.registrationOpensAt && now < this.registrationOpensAt) {
+    return 'Registration has not opened yet';
   }
-  
+  if ((this.registrationClosesAt && now > this.registrationClosesAt) || now > this.endTime) {
+    return 'Registration is closed';
+  }
+  return null;
+};
+
+// Method to update contest status based on time
+contestSchema.methods.updateStatus = function() {
+  this.status = this.expectedStatus();
   return this.save();
 };
 
+// Prize tiers to award, falling back to prizeInfo for the top prizeWinners places
+contestSchema.methods.effectivePrizeTiers = function() {
+  if (this.prizeTiers && this.prizeTiers.length > 0) {
+    return this.prizeTiers;
+  }
+  if (!this.prizeWinners) {
+    return [];
+  }
+  return [{ prize: this.prizeInfo, fromRank: 1, toRank: this.prizeWinners, minScore: null }];
+};
+
+// First tier (in listed order) earned by a placement out of totalRanked
+function tierFor(tiers, placement, score, totalRanked) {
+  return tiers.find(tier => {
+    if (tier.minScore !== null && tier.minScore !== undefined && score < tier.minScore) {
+      return false;
+    }
+    if (tier.topPercent) {
+      return placement <= Math.ceil(totalRanked * tier.topPercent / 100);
+    }
+    return placement >= tier.fromRank && placement <= (tier.toRank || tier.fromRank);
+  }) || null;
+}
+
+// Prize tier earned by a participant's placement out of totalRanked participants
+contestSchema.methods.prizeTierFor = function(placement, score, totalRanked) {
+  return tierFor(this.effectivePrizeTiers(), placement, score, totalRanked);
+};
+
+// Prize tier earned by a team's placement out of totalTeams teams
+contestSchema.methods.teamPrizeTierFor = function(placement, score, totalTeams) {
+  const tiers = (this.teamMode && this.teamMode.prizeTiers) || [];
+  return tierFor(tiers, placement, score, totalTeams);
+};
+
+// Pre-save middleware to validate prize tiers
+contestSchema.pre('save', function(next) {
+  const error =
+    prizeTiersError(this.prizeTiers) ||
+    prizeTiersError(this.teamMode && this.teamMode.prizeTiers);
+  next(error ? new Error(error) : undefined);
+});
+
 // Pre-save middleware to validate questions
 contestSchema.pre('save', function(next) {
-  if (this.questions && this.questions.length > 0) {
-    this.questions.forEach((question, index) => {
-      // Validate that there's at least one correct option
-      const correctOptions = question.options.filter(option => option.isCorrect);
-      if (correctOptions.length === 0) {
-        return next(new Error(`Question ${index + 1} must have at least one correct option`));
-      }
-      
-      // For single-select, ensure only one correct option
-      if (question.type === 'single-select' && correctOptions.length > 1) {
-        return next(new Error(`Question ${index + 1} (single-select) can only have one correct option`));
-      }
-      
-      // For true-false, ensure exactly 2 options with one correct
-      if (question.type === 'true-false') {
-        if (question.options.length !== 2) {
-          return next(new Error(`Question ${index + 1} (true-false) must have exactly 2 options`));
-        }
-        if (correctOptions.length !== 1) {
-          return next(new Error(`Question ${index + 1} (true-false) must have exactly one correct option`));
-        }
-      }
-    });
-  }
-  next();
+  const error = questionsError(this.questions);
+  next(error ? new Error(error) : undefined);
 });
 
+contestSchema.statics.CHOICE_TYPES = CHOICE_TYPES;
+
 module.exports = mongoose.model('Contest', contestSchema);
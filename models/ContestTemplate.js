@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const { contestSettingsFields, prizeTiersError, questionsError } = require('./contestSettings');
+
+// Named, reusable contest settings; contests are created from it by hand or on a schedule
+const contestTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+    maxlength: [100, 'Template name cannot exceed 100 characters']
+  },
+  // Name given to contests created from this template
+  contestName: {
+    type: String,
+    required: [true, 'Contest name is required'],
+    trim: true,
+    maxlength: [100, 'Contest name cannot exceed 100 characters']
+  },
+  ...contestSettingsFields,
+  // Length of each contest's window (start to end)
+  contestDurationMinutes: {
+    type: Number,
+    required: [true, 'Contest duration is required'],
+    min: [1, 'Contest duration must be at least 1 minute']
+  },
+  // Recurring schedule, e.g. every Friday at 18:00
+  schedule: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    frequency: {
+      type: String,
+      enum: ['daily', 'weekly'],
+      default: 'weekly'
+    },
+    // 0 = Sunday; weekly schedules only
+    dayOfWeek: {
+      type: Number,
+      min: [0, 'Day of week must be between 0 and 6'],
+      max: [6, 'Day of week must be between 0 and 6'],
+      default: null
+    },
+    // Local start time as HH:MM
+    time: {
+      type: String,
+      match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Time must be in HH:MM format'],
+      default: null
+    },
+    // Offset of the schedule's local time from UTC
+    utcOffsetMinutes: {
+      type: Number,
+      default: 0
+    },
+    // How long before its start each contest is created
+    createAheadHours: {
+      type: Number,
+      default: 24,
+      min: [1, 'Contests must be created at least 1 hour ahead']
+    },
+    // Start time of the last contest the schedule created
+    lastStartTime: {
+      type: Date,
+      default: null
+    }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Created by is required']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+contestTemplateSchema.index({ isActive: 1, 'schedule.enabled': 1 });
+
+// Next scheduled start strictly after the given time, or null without a usable schedule
+contestTemplateSchema.methods.nextStartAfter = function(after) {
+  const { frequency, dayOfWeek, time, utcOffsetMinutes } = this.schedule;
+  if (!time || (frequency === 'weekly' && (dayOfWeek === null || dayOfWeek === undefined))) {
+    return null;
+  }
+
+  // Work in the schedule's local time, expressed as a UTC date
+  const offsetMs = (utcOffsetMinutes || 0) * 60 * 1000;
+  const localAfter = new Date(after.getTime() + offsetMs);
+  const [hours, minutes] = time.split(':').map(Number);
+
+  const candidate = new Date(localAfter);
+  candidate.setUTCHours(hours, minutes, 0, 0);
+
+  if (frequency === 'weekly') {
+    candidate.setUTCDate(candidate.getUTCDate() + ((dayOfWeek - candidate.getUTCDay() + 7) % 7));
+  }
+  if (candidate <= localAfter) {
+    candidate.setUTCDate(candidate.getUTCDate() + (frequency === 'weekly' ? 7 : 1));
+  }
+
+  return new Date(candidate.getTime() - offsetMs);
+};
+
+contestTemplateSchema.pre('save', function(next) {
+  const error =
+    prizeTiersError(this.prizeTiers) ||
+    prizeTiersError(this.teamMode && this.teamMode.prizeTiers) ||
+    questionsError(this.questions);
+  next(error ? new Error(error) : undefined);
+});
+
+module.exports = mongoose.model('ContestTemplate', contestTemplateSchema);
@@ -11,6 +11,12 @@ const participationSchema = new mongoose.Schema({
     ref: 'Contest',
     required: [true, 'Contest ID is required']
   },
+  // Team the participant competes for in a team contest
+  teamId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    default: null
+  },
   joinedAt: {
     type: Date,
     default: Date.now
@@ -19,16 +25,31 @@ const participationSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // Canonical question indices dealt to this participant; empty means every question
+  questionSet: [{
+    type: Number,
+    min: [0, 'Question index must be non-negative']
+  }],
   answers: [{
     questionIndex: {
       type: Number,
       required: [true, 'Question index is required'],
       min: [0, 'Question index must be non-negative']
     },
+    // Option indices; for ordering questions, the options in the chosen order
     selectedOptions: [{
       type: Number,
       min: [0, 'Option index must be non-negative']
     }],
+    numericAnswer: {
+      type: Number,
+      default: null
+    },
+    textAnswer: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Text answer cannot exceed 500 characters']
+    },
     isCorrect: {
       type: Boolean,
       default: false
@@ -36,12 +57,54 @@ const participationSchema = new mongoose.Schema({
     pointsEarned: {
       type: Number,
       default: 0
+    },
+    pointsDeducted: {
+      type: Number,
+      default: 0
+    },
+    status: {
+      type: String,
+      enum: ['correct', 'partial', 'wrong', 'skipped'],
+      default: null
     }
   }],
+  // Work-in-progress answers, saved one question at a time until the attempt is finalized
+  draftAnswers: [{
+    questionIndex: {
+      type: Number,
+      required: [true, 'Question index is required'],
+      min: [0, 'Question index must be non-negative']
+    },
+    selectedOptions: [{
+      type: Number,
+      min: [0, 'Option index must be non-negative']
+    }],
+    numericAnswer: {
+      type: Number,
+      default: null
+    },
+    textAnswer: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Text answer cannot exceed 500 characters']
+    },
+    savedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Can be negative under negative marking, down to the contest's scoreFloor
   score: {
     type: Number,
-    default: 0,
-    min: [0, 'Score cannot be negative']
+    default: 0
+  },
+  pointsEarned: {
+    type: Number,
+    default: 0
+  },
+  pointsDeducted: {
+    type: Number,
+    default: 0
   },
   totalQuestions: {
     type: Number,
@@ -55,10 +118,23 @@ const participationSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  partialAnswers: {
+    type: Number,
+    default: 0
+  },
+  skippedAnswers: {
+    type: Number,
+    default: 0
+  },
   rank: {
     type: Number,
     default: null
   },
+  // Share of the other ranked participants finished ahead of (0-100), set with the final rank
+  percentile: {
+    type: Number,
+    default: null
+  },
   isCompleted: {
     type: Boolean,
     default: false
@@ -66,6 +142,24 @@ const participationSchema = new mongoose.Schema({
   timeSpent: {
     type: Number, // in seconds
     default: 0
+  },
+  // Personal time limit; null when the contest has no duration
+  deadline: {
+    type: Date,
+    default: null
+  },
+  isLate: {
+    type: Boolean,
+    default: false
+  },
+  latePenalty: {
+    type: Number,
+    default: 0
+  },
+  // Closed by the server when the time limit ran out
+  autoClosed: {
+    type: Boolean,
+    default: false
   }
 }, {
   timestamps: true
@@ -78,62 +172,179 @@ participationSchema.index({ userId: 1, contestId: 1 }, { unique: true });
 participationSchema.index({ contestId: 1, score: -1, submittedAt: 1 });
 participationSchema.index({ userId: 1 });
 participationSchema.index({ submittedAt: 1 });
+participationSchema.index({ isCompleted: 1, deadline: 1 });
+participationSchema.index({ contestId: 1, teamId: 1 });
+
+// Completed participations in leaderboard order (by default highest score first, earliest submission breaks ties)
+participationSchema.statics.findRanked = function(contestId, sort = { score: -1, submittedAt: 1 }) {
+  return this.find({ contestId, isCompleted: true })
+    .sort(sort);
+};
+
+// Normalise a short-text answer according to the question's settings
+function normalizeText(text, question) {
+  let normalized = String(text).trim();
+  if (question.normalizeWhitespace !== false) {
+    normalized = normalized.replace(/\s+/g, ' ');
+  }
+  if (!question.caseSensitive) {
+    normalized = normalized.toLowerCase();
+  }
+  return normalized;
+}
+
+// Whether an answer has nothing in it, whatever the question type
+function isBlank(answer) {
+  const noOptions = !answer.selectedOptions || answer.selectedOptions.length === 0;
+  const noNumber = answer.numericAnswer === null || answer.numericAnswer === undefined;
+  const noText = !answer.textAnswer || answer.textAnswer.trim() === '';
+  return noOptions && noNumber && noText;
+}
+
+// Fraction of a question's points earned by an answer (0 to 1)
+function creditFor(question, answer, mode) {
+  const selectedOptions = answer.selectedOptions || [];
+
+  if (question.type === 'numeric') {
+    const { value, tolerance } = question.numericAnswer;
+    return Math.abs(answer.numericAnswer - value) <= (tolerance || 0) ? 1 : 0;
+  }
+
+  if (question.type === 'short-text') {
+    const given = normalizeText(answer.textAnswer, question);
+    return question.acceptedAnswers.some(accepted => normalizeText(accepted, question) === given) ? 1 : 0;
+  }
+
+  if (question.type === 'ordering') {
+    // Options are stored in the correct order, so position i should hold option i
+    const inPlace = selectedOptions.filter((option, position) => option === position).length;
+    if (inPlace === question.options.length) return 1;
+    return mode === 'partial' ? inPlace / question.options.length : 0;
+  }
+
+  const correctOptions = question.options
+    .map((option, index) => ({ index, isCorrect: option.isCorrect }))
+    .filter(option => option.isCorrect)
+    .map(option => option.index);
+
+  if (question.type === 'multi-select') {
+    const selected = [...new Set(selectedOptions)];
+    const rightPicks = selected.filter(option => correctOptions.includes(option)).length;
+    const wrongPicks = selected.length - rightPicks;
+
+    if (rightPicks === correctOptions.length && wrongPicks === 0) return 1;
+    if (mode !== 'partial') return 0;
 
-// Method to calculate score
-participationSchema.methods.calculateScore = function(contestQuestions) {
-  let totalScore = 0;
+    // Proportional credit: each wrong pick cancels a right one
+    return Math.max(0, (rightPicks - wrongPicks) / correctOptions.length);
+  }
+
+  // single-select and true-false
+  const selectedOption = question.options[selectedOptions[0]];
+  return selectedOption && selectedOption.isCorrect ? 1 : 0;
+}
+
+// Canonical indices of the questions this participant has to answer
+participationSchema.methods.questionIndices = function(questionCount) {
+  if (this.questionSet && this.questionSet.length > 0) {
+    return [...this.questionSet];
+  }
+  return Array.from({ length: questionCount }, (_, index) => index);
+};
+
+// Round to two decimals so fractional marks stay readable
+const roundPoints = points => Math.round(points * 100) / 100;
+
+/**
+ * Method to calculate score. Supports the contest scoring settings:
+ * mode (all-or-nothing or partial credit for multi-select and ordering), wrongAnswerPenalty
+ * and skipPenalty (fractions of a question's points) and scoreFloor (null for
+ * no floor).
+ */
+participationSchema.methods.calculateScore = function(contestQuestions, scoring = {}) {
+  const mode = scoring.mode || 'all-or-nothing';
+  const wrongAnswerPenalty = scoring.wrongAnswerPenalty || 0;
+  const skipPenalty = scoring.skipPenalty || 0;
+  const scoreFloor = scoring.scoreFloor === undefined ? 0 : scoring.scoreFloor;
+
+  let pointsEarned = 0;
+  let pointsDeducted = 0;
   let correctCount = 0;
   let wrongCount = 0;
-  
-  this.answers.forEach((answer, index) => {
+  let partialCount = 0;
+  const assigned = this.questionIndices(contestQuestions.length);
+  const answered = new Set();
+  this.totalQuestions = assigned.length;
+
+  this.answers.forEach(answer => {
     const question = contestQuestions[answer.questionIndex];
-    if (!question) return;
-    
-    let isCorrect = false;
-    
-    if (question.type === 'single-select') {
-      // For single-select, check if the selected option is correct
-      const selectedOption = question.options[answer.selectedOptions[0]];
-      isCorrect = selectedOption && selectedOption.isCorrect;
-    } else if (question.type === 'multi-select') {
-      // For multi-select, check if all correct options are selected and no incorrect ones
-      const correctOptions = question.options
-        .map((option, index) => ({ index, isCorrect: option.isCorrect }))
-        .filter(option => option.isCorrect)
-        .map(option => option.index);
-      
-      const selectedOptions = answer.selectedOptions.sort();
-      const correctOptionsSorted = correctOptions.sort();
-      
-      isCorrect = selectedOptions.length === correctOptionsSorted.length &&
-                 selectedOptions.every((option, index) => option === correctOptionsSorted[index]);
-    } else if (question.type === 'true-false') {
-      // For true-false, check if the selected option is correct
-      const selectedOption = question.options[answer.selectedOptions[0]];
-      isCorrect = selectedOption && selectedOption.isCorrect;
+    if (!question || !assigned.includes(answer.questionIndex)) return;
+
+    // An empty answer counts as skipped (penalised with the unanswered questions below)
+    if (isBlank(answer)) {
+      answer.isCorrect = false;
+      answer.pointsEarned = 0;
+      answer.pointsDeducted = roundPoints(skipPenalty * question.points);
+      answer.status = 'skipped';
+      return;
     }
-    
-    answer.isCorrect = isCorrect;
-    answer.pointsEarned = isCorrect ? question.points : 0;
-    
-    totalScore += answer.pointsEarned;
-    if (isCorrect) {
+    answered.add(answer.questionIndex);
+
+    const credit = creditFor(question, answer, mode);
+
+    answer.isCorrect = credit === 1;
+    answer.pointsEarned = roundPoints(credit * question.points);
+    answer.pointsDeducted = credit === 0 ? roundPoints(wrongAnswerPenalty * question.points) : 0;
+
+    if (credit === 1) {
+      answer.status = 'correct';
       correctCount++;
+    } else if (credit > 0) {
+      answer.status = 'partial';
+      partialCount++;
     } else {
+      answer.status = 'wrong';
       wrongCount++;
     }
+
+    pointsEarned += answer.pointsEarned;
+    pointsDeducted += answer.pointsDeducted;
   });
-  
+
+  // Unanswered questions
+  let skippedCount = 0;
+  assigned.forEach(index => {
+    if (answered.has(index)) return;
+    skippedCount++;
+    pointsDeducted += skipPenalty * contestQuestions[index].points;
+  });
+
+  pointsEarned = roundPoints(pointsEarned);
+  pointsDeducted = roundPoints(pointsDeducted);
+
+  let totalScore = roundPoints(pointsEarned - pointsDeducted);
+  if (scoreFloor !== null && totalScore < scoreFloor) {
+    totalScore = scoreFloor;
+  }
+
   this.score = totalScore;
+  this.pointsEarned = pointsEarned;
+  this.pointsDeducted = pointsDeducted;
   this.correctAnswers = correctCount;
   this.wrongAnswers = wrongCount;
+  this.partialAnswers = partialCount;
+  this.skippedAnswers = skippedCount;
   this.isCompleted = true;
   this.submittedAt = new Date();
   
   return {
     score: totalScore,
     correctAnswers: correctCount,
-    wrongAnswers: wrongCount
+    wrongAnswers: wrongCount,
+    partialAnswers: partialCount,
+    skippedAnswers: skippedCount,
+    pointsEarned,
+    pointsDeducted
   };
 };
 
@@ -145,4 +356,6 @@ participationSchema.methods.calculateTimeSpent = function() {
   return this.timeSpent;
 };
 
+participationSchema.statics.isBlank = isBlank;
+
 module.exports = mongoose.model('Participation', participationSchema);
@@ -11,12 +11,27 @@ const prizeSchema = new mongoose.Schema({
     ref: 'User',
     required: [true, 'User ID is required']
   },
+  // Set for team prizes, which each member of the winning team receives
+  teamId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    default: null
+  },
+  teamName: {
+    type: String,
+    trim: true
+  },
   prizeInfo: {
     type: String,
     required: [true, 'Prize information is required'],
     trim: true,
     maxlength: [200, 'Prize info cannot exceed 200 characters']
   },
+  tier: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Tier label cannot exceed 50 characters']
+  },
   rank: {
     type: Number,
     required: [true, 'Rank is required'],
@@ -24,8 +39,7 @@ const prizeSchema = new mongoose.Schema({
   },
   score: {
     type: Number,
-    required: [true, 'Score is required'],
-    min: [0, 'Score cannot be negative']
+    required: [true, 'Score is required']
   },
   awardedAt: {
     type: Date,
@@ -33,9 +47,51 @@ const prizeSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['PENDING', 'GRANTED', 'CLAIMED'],
+    enum: ['PENDING', 'GRANTED', 'CLAIMED', 'APPROVED', 'REJECTED', 'FULFILLED'],
     default: 'GRANTED'
   },
+  deliveryDetails: {
+    fullName: { type: String, trim: true, maxlength: [100, 'Full name cannot exceed 100 characters'] },
+    email: { type: String, trim: true, lowercase: true },
+    phone: { type: String, trim: true, maxlength: [30, 'Phone cannot exceed 30 characters'] },
+    address: { type: String, trim: true, maxlength: [300, 'Address cannot exceed 300 characters'] },
+    city: { type: String, trim: true, maxlength: [100, 'City cannot exceed 100 characters'] },
+    postalCode: { type: String, trim: true, maxlength: [20, 'Postal code cannot exceed 20 characters'] },
+    country: { type: String, trim: true, maxlength: [100, 'Country cannot exceed 100 characters'] }
+  },
+  claimedAt: {
+    type: Date,
+    default: null
+  },
+  fulfilmentReference: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Fulfilment reference cannot exceed 200 characters']
+  },
+  statusHistory: [{
+    from: {
+      type: String,
+      default: null
+    },
+    to: {
+      type: String,
+      required: true
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Note cannot exceed 500 characters']
+    }
+  }],
   contestName: {
     type: String,
     required: [true, 'Contest name is required']
@@ -53,13 +109,47 @@ const prizeSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Allowed status changes: users claim granted prizes, admins review and fulfil claims
+const TRANSITIONS = {
+  PENDING: ['GRANTED', 'REJECTED'],
+  GRANTED: ['CLAIMED'],
+  CLAIMED: ['APPROVED', 'REJECTED'],
+  APPROVED: ['FULFILLED'],
+  REJECTED: [],
+  FULFILLED: []
+};
+
 // Indexes for better performance
 prizeSchema.index({ userId: 1 });
 prizeSchema.index({ contestId: 1 });
 prizeSchema.index({ awardedAt: -1 });
 prizeSchema.index({ status: 1 });
 
-// Compound index to prevent duplicate prizes for same contest and user
-prizeSchema.index({ contestId: 1, userId: 1 }, { unique: true });
+// Compound index to prevent duplicate prizes for same contest and user (one individual, one per team).
+// Replaces the earlier { contestId, userId } index; server.js syncs indexes at startup to drop it
+prizeSchema.index({ contestId: 1, userId: 1, teamId: 1 }, { unique: true });
+
+// Method to check whether the prize may move to the given status
+prizeSchema.methods.canTransitionTo = function(status) {
+  return (TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Method to change status and record it in the history (caller saves)
+prizeSchema.methods.transitionTo = function(status, changedBy, note) {
+  if (!this.canTransitionTo(status)) {
+    throw new Error(`Cannot move prize from ${this.status} to ${status}`);
+  }
+
+  this.statusHistory.push({
+    from: this.status,
+    to: status,
+    changedBy: changedBy || null,
+    changedAt: new Date(),
+    note
+  });
+  this.status = status;
+
+  return this;
+};
 
 module.exports = mongoose.model('Prize', prizeSchema);
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const { questionFields, questionError } = require('./questionContent');
+
+// Reusable question bank entry; contests copy questions from here
+const questionSchema = new mongoose.Schema({
+  ...questionFields,
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: [50, 'Tag cannot exceed 50 characters']
+  }],
+  difficulty: {
+    type: String,
+    enum: ['easy', 'medium', 'hard'],
+    default: 'medium'
+  },
+  category: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Category cannot exceed 100 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Created by is required']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// Indexes for better performance
+questionSchema.index({ tags: 1, difficulty: 1 });
+questionSchema.index({ category: 1 });
+questionSchema.index({ isActive: 1 });
+
+// Pre-save middleware to validate the question content
+questionSchema.pre('save', function(next) {
+  const error = questionError(this);
+  if (error) {
+    return next(new Error(`Question (${this.type}) ${error}`));
+  }
+  next();
+});
+
+// Content copied into a contest when the question is attached or drawn. Contests
+// keep this snapshot, so later bank edits only reach a contest that refreshes
+// its bank questions before it starts
+questionSchema.methods.toContestQuestion = function() {
+  return {
+    questionText: this.questionText,
+    type: this.type,
+    options: this.options.map(option => ({ option: option.option, isCorrect: option.isCorrect })),
+    numericAnswer: {
+      value: this.numericAnswer.value,
+      tolerance: this.numericAnswer.tolerance
+    },
+    acceptedAnswers: [...this.acceptedAnswers],
+    caseSensitive: this.caseSensitive,
+    normalizeWhitespace: this.normalizeWhitespace,
+    points: this.points,
+    bankQuestionId: this._id
+  };
+};
+
+module.exports = mongoose.model('Question', questionSchema);
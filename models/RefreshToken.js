@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// Server-side record of a refresh token. Only a hash of the token is stored.
+// Every refresh replaces the token with a new one in the same family; a used
+// or revoked token coming back means it was stolen, and its family is revoked.
+const refreshTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required']
+  },
+  // Shared by every token descended from one login
+  familyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Family ID is required']
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  },
+  // Set when the token is exchanged for its replacement
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RefreshToken',
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'User agent cannot exceed 300 characters']
+  },
+  ip: String
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+refreshTokenSchema.index({ tokenHash: 1 }, { unique: true });
+refreshTokenSchema.index({ userId: 1 });
+refreshTokenSchema.index({ familyId: 1 });
+// Expired tokens are removed by MongoDB
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// A user's place in a contest: a seat (REGISTERED), a place in the queue for
+// one (WAITLISTED), or given up (WITHDRAWN). Seats are counted on the contest
+// in registeredCount, capped at maxParticipants.
+const registrationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  contestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contest',
+    required: [true, 'Contest ID is required']
+  },
+  status: {
+    type: String,
+    enum: ['REGISTERED', 'WAITLISTED', 'WITHDRAWN'],
+    required: [true, 'Registration status is required']
+  },
+  // When the current seat was taken
+  registeredAt: {
+    type: Date,
+    default: null
+  },
+  // Waitlist order: earliest is promoted first
+  waitlistedAt: {
+    type: Date,
+    default: null
+  },
+  promotedAt: {
+    type: Date,
+    default: null
+  },
+  withdrawnAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// One registration per user per contest; withdrawing and registering again reuses it
+registrationSchema.index({ userId: 1, contestId: 1 }, { unique: true });
+registrationSchema.index({ contestId: 1, status: 1, waitlistedAt: 1 });
+
+module.exports = mongoose.model('Registration', registrationSchema);
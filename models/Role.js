@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const { PERMISSIONS, ROLE_PERMISSIONS } = require('./permissions');
+
+// A named set of permissions assigned to staff, e.g. moderators or support.
+// It adds to the user's role (normal, vip, ...) rather than replacing it.
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z][a-z0-9-]*$/, 'Role name may only contain letters, numbers and dashes'],
+    maxlength: [50, 'Role name cannot exceed 50 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Description cannot exceed 300 characters']
+  },
+  permissions: {
+    type: [{
+      type: String,
+      enum: PERMISSIONS
+    }],
+    default: []
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Created by is required']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// Active role names are unique
+roleSchema.index(
+  { name: 1 },
+  { unique: true, partialFilterExpression: { isActive: true } }
+);
+
+// Names reserved for the built-in user roles
+const RESERVED_NAMES = ['admin', 'vip', 'normal', 'guest'];
+
+roleSchema.pre('validate', function(next) {
+  if (this.name && RESERVED_NAMES.includes(this.name)) {
+    this.invalidate('name', `${this.name} is a built-in role name`);
+  }
+  this.permissions = [...new Set(this.permissions)];
+  next();
+});
+
+// Everything the user may do: all permissions for admins, otherwise those of
+// their user role plus their active staff roles
+roleSchema.statics.permissionsFor = async function(user) {
+  if (user.role === 'admin') return [...PERMISSIONS];
+
+  const base = ROLE_PERMISSIONS[user.role] || [];
+  if (!user.staffRoles || user.staffRoles.length === 0) return [...base];
+
+  const roles = await this.find({
+    _id: { $in: user.staffRoles },
+    isActive: true
+  }).select('permissions');
+  return [...new Set([...base, ...roles.flatMap(role => role.permissions)])];
+};
+
+roleSchema.statics.PERMISSIONS = PERMISSIONS;
+
+module.exports = mongoose.model('Role', roleSchema);
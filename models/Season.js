@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// A named run of contests with its own standings; contests join it through their seasonId
+const seasonSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Season name is required'],
+    trim: true,
+    maxlength: [100, 'Season name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required'],
+    validate: {
+      validator: function(endDate) {
+        return endDate > this.startDate;
+      },
+      message: 'End date must be after start date'
+    }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Created by is required']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+seasonSchema.index({ isActive: 1, startDate: -1 });
+
+// Where the season stands at the given time
+seasonSchema.methods.statusAt = function(now = new Date()) {
+  if (now < this.startDate) {
+    return 'UPCOMING';
+  } else if (now <= this.endDate) {
+    return 'ONGOING';
+  }
+  return 'ENDED';
+};
+
+module.exports = mongoose.model('Season', seasonSchema);
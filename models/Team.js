@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+const MAX_MEMBERS = 50;
+
+// A standing team; its captain manages members and enters it in team contests
+const teamSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Team name is required'],
+    trim: true,
+    maxlength: [50, 'Team name cannot exceed 50 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Description cannot exceed 300 characters']
+  },
+  captainId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Captain is required']
+  },
+  // Includes the captain
+  members: [{
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required']
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Pending invitations; accepting one moves the user into members
+  invites: [{
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required']
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    invitedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// Active team names are unique, ignoring case
+teamSchema.index(
+  { name: 1 },
+  {
+    unique: true,
+    collation: { locale: 'en', strength: 2 },
+    partialFilterExpression: { isActive: true }
+  }
+);
+teamSchema.index({ 'members.userId': 1 });
+teamSchema.index({ 'invites.userId': 1 });
+
+teamSchema.methods.isMember = function(userId) {
+  return this.members.some(member => member.userId.toString() === userId.toString());
+};
+
+teamSchema.methods.isCaptain = function(userId) {
+  return this.captainId.toString() === userId.toString();
+};
+
+teamSchema.statics.MAX_MEMBERS = MAX_MEMBERS;
+
+module.exports = mongoose.model('Team', teamSchema);
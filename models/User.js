@@ -26,6 +26,26 @@ const userSchema = new mongoose.Schema({
     enum: ['admin', 'vip', 'normal', 'guest'],
     default: 'normal'
   },
+  // Staff roles granting admin permissions on top of the role above (see Role)
+  staffRoles: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Role'
+  }],
+  // When a time-bound VIP membership ends; null for a permanent grant (or no VIP)
+  vipExpiresAt: {
+    type: Date,
+    default: null
+  },
+  // register sets this to false until the address is confirmed; accounts from
+  // before verification existed count as verified
+  emailVerified: {
+    type: Boolean,
+    default: true
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
   prizesWon: [{
     contestId: {
       type: mongoose.Schema.Types.ObjectId,
@@ -39,8 +59,63 @@ const userSchema = new mongoose.Schema({
       type: Date,
       default: Date.now
     },
-    contestName: String
+    contestName: String,
+    // Team the prize was won with, for team prizes
+    teamId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Team',
+      default: null
+    }
   }],
+  // Skill rating from contest placements, moved by ratingService as contests are finalized
+  rating: {
+    type: Number,
+    default: 1500
+  },
+  ratedContests: {
+    type: Number,
+    default: 0
+  },
+  ratingHistory: {
+    type: [{
+      contestId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Contest'
+      },
+      contestName: String,
+      rank: Number,
+      participants: Number,
+      previousRating: Number,
+      rating: Number,
+      change: Number,
+      ratedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    select: false // Only loaded where it is shown
+  },
+  // Audit trail of role changes made by admins, newest last
+  roleHistory: {
+    type: [{
+      from: String,
+      to: String,
+      changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      changedAt: {
+        type: Date,
+        default: Date.now
+      },
+      note: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Note cannot exceed 500 characters']
+      }
+    }],
+    select: false // Only loaded where it is shown
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -48,6 +123,11 @@ const userSchema = new mongoose.Schema({
   lastLogin: {
     type: Date,
     default: Date.now
+  },
+  // Access and refresh tokens issued before this are rejected
+  tokensValidAfter: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true,
@@ -57,6 +137,9 @@ const userSchema = new mongoose.Schema({
 // Index for better performance
 userSchema.index({ email: 1 });
 userSchema.index({ role: 1 });
+userSchema.index({ role: 1, vipExpiresAt: 1 });
+userSchema.index({ rating: -1 });
+userSchema.index({ staffRoles: 1 });
 
 // Hash password before saving
 userSchema.pre('save', async function(next) {
@@ -71,6 +154,20 @@ userSchema.pre('save', async function(next) {
   }
 });
 
+// Changing the password or deactivating the account ends every existing session
+userSchema.pre('save', function(next) {
+  if (!this.isNew && (this.isModified('password') || (this.isModified('isActive') && !this.isActive))) {
+    this.tokensValidAfter = new Date();
+  }
+  next();
+});
+
+// Whether a token issued at the given time (milliseconds) has been revoked
+userSchema.methods.tokenRevoked = function(issuedAtMs) {
+  if (!this.tokensValidAfter) return false;
+  return issuedAtMs < this.tokensValidAfter.getTime();
+};
+
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
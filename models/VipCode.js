@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// Redemption code for VIP membership, created by an admin
+const vipCodeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Code is required'],
+    trim: true,
+    uppercase: true,
+    maxlength: [40, 'Code cannot exceed 40 characters']
+  },
+  // Membership length added on redemption; null grants permanent VIP
+  durationDays: {
+    type: Number,
+    default: null,
+    min: [1, 'Duration must be at least 1 day']
+  },
+  maxRedemptions: {
+    type: Number,
+    default: 1,
+    min: [1, 'Codes must allow at least 1 redemption']
+  },
+  redemptions: {
+    type: Number,
+    default: 0
+  },
+  // Users who redeemed the code; each may redeem it once
+  redeemedBy: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    select: false
+  },
+  // Last moment the code can be redeemed; null for no limit
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Created by is required']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+vipCodeSchema.index({ code: 1 }, { unique: true });
+vipCodeSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('VipCode', vipCodeSchema);
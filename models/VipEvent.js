@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// Audit trail of every change to a user's VIP membership
+const vipEventSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  // CHANGED: an existing membership got a new end date
+  action: {
+    type: String,
+    enum: ['GRANTED', 'CHANGED', 'REVOKED', 'EXPIRED'],
+    required: [true, 'Action is required']
+  },
+  // admin: granted or revoked by an admin; code: redeemed by the user; system: membership ran out
+  source: {
+    type: String,
+    enum: ['admin', 'code', 'system'],
+    required: [true, 'Source is required']
+  },
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  codeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VipCode',
+    default: null
+  },
+  // Membership end before and after the change; null means permanent (or none, once revoked or expired)
+  previousExpiresAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+vipEventSchema.index({ userId: 1, createdAt: -1 });
+vipEventSchema.index({ codeId: 1, userId: 1 });
+
+module.exports = mongoose.model('VipEvent', vipEventSchema);
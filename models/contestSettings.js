@@ -0,0 +1,279 @@
+const mongoose = require('mongoose');
+const { questionFields, questionError } = require('./questionContent');
+
+// Contest settings shared by contests and contest templates
+
+const RANKING_METHODS = ['ordinal', 'competition', 'dense'];
+
+// Ways to order participants on the same score, applied in the order listed
+const TIE_BREAKERS = ['correctAnswers', 'timeSpent', 'submittedAt'];
+
+// Team aggregations: every member's score added up, their mean, or the bestN highest added up
+const TEAM_AGGREGATIONS = ['sum', 'average', 'best-n'];
+
+// Most bank questions a per-participant draw copies into the contest
+const MAX_DRAW_POOL = 100;
+
+// One prize tier: a rank range or a top percentage, optionally with a minimum score
+const prizeTierFields = {
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Tier label cannot exceed 50 characters']
+  },
+  prize: {
+    type: String,
+    required: [true, 'Tier prize is required'],
+    trim: true,
+    maxlength: [200, 'Tier prize cannot exceed 200 characters']
+  },
+  fromRank: {
+    type: Number,
+    min: [1, 'Tier ranks start at 1']
+  },
+  toRank: {
+    type: Number,
+    min: [1, 'Tier ranks start at 1']
+  },
+  topPercent: {
+    type: Number,
+    min: [0, 'Tier percentile cannot be negative'],
+    max: [100, 'Tier percentile cannot exceed 100']
+  },
+  minScore: {
+    type: Number,
+    default: null
+  }
+};
+
+const contestSettingsFields = {
+  description: {
+    type: String,
+    required: [true, 'Contest description is required'],
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  type: {
+    type: String,
+    enum: ['NORMAL', 'VIP'],
+    required: [true, 'Contest type is required']
+  },
+  prizeInfo: {
+    type: String,
+    required: [true, 'Prize information is required'],
+    trim: true,
+    maxlength: [200, 'Prize info cannot exceed 200 characters']
+  },
+  prizeWinners: {
+    type: Number,
+    default: 1,
+    min: [0, 'Prize winners cannot be negative']
+  },
+  // Structured prize schedule; prizeInfo stays as the display label
+  prizeTiers: [prizeTierFields],
+  // share: participants who share a rank share its prize placement; strict: leaderboard order decides
+  prizeTiePolicy: {
+    type: String,
+    enum: ['share', 'strict'],
+    default: 'share'
+  },
+  // When participants may see correct answers to the questions
+  answerReveal: {
+    type: String,
+    enum: ['after-submission', 'after-end', 'never'],
+    default: 'after-end'
+  },
+  // Optional per-participant time limit, started when the participant joins
+  durationMinutes: {
+    type: Number,
+    default: null,
+    min: [1, 'Duration must be at least 1 minute']
+  },
+  // How submissions after a participant's deadline are handled
+  latePolicy: {
+    type: String,
+    enum: ['reject', 'accept', 'penalize'],
+    default: 'reject'
+  },
+  lateGraceSeconds: {
+    type: Number,
+    default: 0,
+    min: [0, 'Late grace period cannot be negative']
+  },
+  latePenaltyPercent: {
+    type: Number,
+    default: 0,
+    min: [0, 'Late penalty cannot be negative'],
+    max: [100, 'Late penalty cannot exceed 100 percent']
+  },
+  // How answers are marked; penalties are fractions of a question's points
+  scoring: {
+    mode: {
+      type: String,
+      enum: ['all-or-nothing', 'partial'],
+      default: 'all-or-nothing'
+    },
+    wrongAnswerPenalty: {
+      type: Number,
+      default: 0,
+      min: [0, 'Wrong answer penalty cannot be negative'],
+      max: [1, 'Wrong answer penalty cannot exceed the question points']
+    },
+    skipPenalty: {
+      type: Number,
+      default: 0,
+      min: [0, 'Skip penalty cannot be negative'],
+      max: [1, 'Skip penalty cannot exceed the question points']
+    },
+    // Lowest possible total score; null lets negative marking go below zero without limit
+    scoreFloor: {
+      type: Number,
+      default: 0
+    }
+  },
+  // ordinal: 1,2,3,4; competition: 1,2,2,4; dense: 1,2,2,3. Participants share a
+  // rank when score and every tie-breaker are equal (an empty list ties on score alone)
+  ranking: {
+    method: {
+      type: String,
+      enum: RANKING_METHODS,
+      default: 'ordinal'
+    },
+    tieBreakers: {
+      type: [{
+        type: String,
+        enum: TIE_BREAKERS
+      }],
+      default: () => ['submittedAt']
+    }
+  },
+  // Give each participant their own deterministic question/option order
+  shuffleQuestions: {
+    type: Boolean,
+    default: false
+  },
+  shuffleOptions: {
+    type: Boolean,
+    default: false
+  },
+  questions: [{
+    ...questionFields,
+    // Question bank entry this question was copied from, if any
+    bankQuestionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Question',
+      default: null
+    },
+    // Index of the questionDraws rule that pulled it in; null for fixed questions
+    drawIndex: {
+      type: Number,
+      default: null
+    }
+  }],
+  // Random draws from the question bank, made when the contest starts
+  questionDraws: [{
+    tags: [{
+      type: String,
+      trim: true,
+      lowercase: true
+    }],
+    category: {
+      type: String,
+      trim: true
+    },
+    difficulty: {
+      type: String,
+      enum: ['easy', 'medium', 'hard']
+    },
+    count: {
+      type: Number,
+      required: [true, 'Draw count is required'],
+      min: [1, 'Draw count must be at least 1']
+    },
+    // per-participant only: how many questions to sample as the pool that
+    // participants are dealt from (null: five times count, up to MAX_DRAW_POOL)
+    poolSize: {
+      type: Number,
+      default: null,
+      min: [1, 'Pool size must be at least 1'],
+      max: [MAX_DRAW_POOL, `Pool size cannot exceed ${MAX_DRAW_POOL}`]
+    }
+  }],
+  // per-contest: everyone gets the same drawn questions; per-participant: each participant gets their own draw
+  drawMode: {
+    type: String,
+    enum: ['per-contest', 'per-participant'],
+    default: 'per-contest'
+  },
+  maxParticipants: {
+    type: Number,
+    default: 1000,
+    min: [1, 'Max participants must be at least 1']
+  },
+  // Team contests: registered teams' members take part individually and also earn a team score
+  teamMode: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    aggregation: {
+      type: String,
+      enum: TEAM_AGGREGATIONS,
+      default: 'sum'
+    },
+    bestN: {
+      type: Number,
+      default: 3,
+      min: [1, 'Best-N must count at least 1 member']
+    },
+    // Most members of one team who may take part; null for no limit
+    maxMembersPerTeam: {
+      type: Number,
+      default: null,
+      min: [1, 'Teams must be allowed at least 1 member']
+    },
+    // Prizes for the top teams, given to each of their members who took part
+    prizeTiers: [prizeTierFields]
+  }
+};
+
+// Settings copied when a contest is cloned or created from a template
+const SETTINGS_FIELDS = Object.keys(contestSettingsFields);
+
+// What is wrong with a list of prize tiers, or null
+function prizeTiersError(prizeTiers) {
+  for (const [index, tier] of (prizeTiers || []).entries()) {
+    const hasRanks = tier.fromRank !== undefined && tier.fromRank !== null;
+    const hasPercent = tier.topPercent !== undefined && tier.topPercent !== null;
+
+    if (hasRanks === hasPercent) {
+      return `Prize tier ${index + 1} must have either a rank range or a top percentage`;
+    }
+    if (hasRanks && tier.toRank && tier.toRank < tier.fromRank) {
+      return `Prize tier ${index + 1} must end at or after its starting rank`;
+    }
+  }
+  return null;
+}
+
+// What is wrong with a list of questions, or null
+function questionsError(questions) {
+  for (const [index, question] of (questions || []).entries()) {
+    const error = questionError(question);
+    if (error) {
+      return `Question ${index + 1} (${question.type}) ${error}`;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  RANKING_METHODS,
+  TIE_BREAKERS,
+  TEAM_AGGREGATIONS,
+  MAX_DRAW_POOL,
+  contestSettingsFields,
+  SETTINGS_FIELDS,
+  prizeTiersError,
+  questionsError
+};
@@ -0,0 +1,36 @@
+// Permissions a staff role can grant, as area:action. Admins hold all of them
+// implicitly.
+const PERMISSIONS = [
+  'contest:participate',
+  'contest:view',
+  'contest:create',
+  'contest:edit',
+  'contest:delete',
+  'contest:finalize',
+  'question:view',
+  'question:create',
+  'question:edit',
+  'question:delete',
+  'prize:view',
+  'prize:review',
+  'prize:fulfil',
+  'template:manage',
+  'season:manage',
+  'rating:manage',
+  'vip:manage',
+  'user:view',
+  'user:manage',
+  'role:manage'
+];
+
+// Permissions that come with the built-in user roles; staff roles add to these
+const ROLE_PERMISSIONS = {
+  vip: ['contest:participate'],
+  normal: ['contest:participate'],
+  guest: []
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS
+};
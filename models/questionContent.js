@@ -0,0 +1,119 @@
+// Question content shared by contest questions and the question bank
+
+const QUESTION_TYPES = ['single-select', 'multi-select', 'true-false', 'numeric', 'short-text', 'ordering'];
+
+// Question types answered by picking from options with isCorrect flags
+const CHOICE_TYPES = ['single-select', 'multi-select', 'true-false'];
+
+const questionFields = {
+  questionText: {
+    type: String,
+    required: [true, 'Question text is required'],
+    trim: true,
+    maxlength: [500, 'Question text cannot exceed 500 characters']
+  },
+  type: {
+    type: String,
+    enum: QUESTION_TYPES,
+    required: [true, 'Question type is required']
+  },
+  // Choice questions flag correct options; ordering questions store options in the correct order
+  options: [{
+    option: {
+      type: String,
+      required: [true, 'Option text is required'],
+      trim: true,
+      maxlength: [200, 'Option text cannot exceed 200 characters']
+    },
+    isCorrect: {
+      type: Boolean,
+      default: false
+    }
+  }],
+  // numeric: answers within value +/- tolerance are correct
+  numericAnswer: {
+    value: {
+      type: Number,
+      default: null
+    },
+    tolerance: {
+      type: Number,
+      default: 0,
+      min: [0, 'Tolerance cannot be negative']
+    }
+  },
+  // short-text: any of these answers is correct after normalisation
+  acceptedAnswers: [{
+    type: String,
+    trim: true,
+    maxlength: [200, 'Accepted answer cannot exceed 200 characters']
+  }],
+  caseSensitive: {
+    type: Boolean,
+    default: false
+  },
+  normalizeWhitespace: {
+    type: Boolean,
+    default: true
+  },
+  points: {
+    type: Number,
+    default: 1,
+    min: [1, 'Points must be at least 1']
+  }
+};
+
+// Type-specific rules for a question; returns what is wrong with it, or null
+function questionError(question) {
+  if (question.type === 'numeric') {
+    const value = question.numericAnswer && question.numericAnswer.value;
+    if (value === null || value === undefined) {
+      return 'must have a numeric answer';
+    }
+    return null;
+  }
+
+  if (question.type === 'short-text') {
+    if (!question.acceptedAnswers || question.acceptedAnswers.length === 0) {
+      return 'must have at least one accepted answer';
+    }
+    return null;
+  }
+
+  if (question.type === 'ordering') {
+    if (question.options.length < 2) {
+      return 'must have at least 2 options to order';
+    }
+    return null;
+  }
+
+  // Validate that there's at least one correct option
+  const correctOptions = question.options.filter(option => option.isCorrect);
+  if (correctOptions.length === 0) {
+    return 'must have at least one correct option';
+  }
+
+  // For single-select, ensure only one correct option
+  if (question.type === 'single-select' && correctOptions.length > 1) {
+    return 'can only have one correct option';
+  }
+
+  // For true-false, ensure exactly 2 options with one correct
+  if (question.type === 'true-false') {
+    if (question.options.length !== 2) {
+      return 'must have exactly 2 options';
+    }
+    if (correctOptions.length !== 1) {
+      return 'must have exactly one correct option';
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  QUESTION_TYPES,
+  CHOICE_TYPES,
+  questionFields,
+  questionError
+};
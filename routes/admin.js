@@ -1,32 +1,111 @@
 const express = require('express');
-const { authenticate, adminOnly } = require('../middleware/auth');
-const { validateCreateContest, validateUpdateContest, validateAddQuestion } = require('../middleware/validation');
-const { createContest,getContest, getContestById, updateContest, deleteContest, addQuestion, editQuestion, deleteQuestion, getLeaderboard, changeStatus } = require('../services/adminService.js');
+const { requirePermission } = require('../middleware/auth');
+const { validateCreateContest, validateUpdateContest, validateCopyContest, validateCreateTemplate, validateUpdateTemplate, validateSaveTemplate, validateCreateSeason, validateUpdateSeason, validateAddQuestion, validatePrizeAction, validateRejectPrize, validateFulfilPrize, validateGrantVip, validateRevokeVip, validateCreateVipCodes, validateBankQuestion, validateAttachQuestions, validateImportQuestions } = require('../middleware/validation');
+const { createContest,getContest, getContestById, updateContest, deleteContest, addQuestion, editQuestion, deleteQuestion, importQuestions, exportQuestions, getLeaderboard, rebuildLeaderboard, changeStatus, finalize, getPrizes, getPrizeById, approvePrize, rejectPrize, fulfilPrize } = require('../services/adminService.js');
+const { cloneContest, getTemplates, getTemplateById, createTemplate, saveContestAsTemplate, updateTemplate, deleteTemplate, instantiateTemplate } = require('../services/templateService.js');
+const { getSeasons, getSeasonById, createSeason, updateSeason, deleteSeason } = require('../services/seasonService.js');
+const { getRegistrations } = require('../services/registrationService.js');
+const { recomputeRatings } = require('../services/ratingService.js');
+const { grantVip, revokeVip, getVipEvents, createVipCodes, getVipCodes, deactivateVipCode } = require('../services/vipService.js');
+const { getBankQuestions, getBankQuestionById, createBankQuestion, updateBankQuestion, deleteBankQuestion, attachQuestions, refreshQuestions, drawQuestions } = require('../services/questionBankService.js');
 
 const router = express.Router();
 
-// Apply authentication and admin-only middleware to all routes
-router.use(authenticate);
-router.use(adminOnly);
+// server.js authenticates every /admin request; each route checks its permission
+router.post('/contest/create', requirePermission('contest:create'), validateCreateContest, createContest);
 
-router.post('/contest/create', validateCreateContest, createContest);
+router.get('/contests', requirePermission('contest:view'), getContest);
 
-router.get('/contests', getContest);
+router.get('/contest/:id', requirePermission('contest:view'), getContestById);
 
-router.get('/contest/:id', getContestById);
+router.put('/contest/:id/update', requirePermission('contest:edit'), validateUpdateContest, updateContest);
 
-router.put('/contest/:id/update', validateUpdateContest, updateContest);
+router.delete('/contest/:id', requirePermission('contest:delete'), deleteContest);
 
-router.delete('/contest/:id', deleteContest);
+router.post('/contest/:id/clone', requirePermission('contest:create'), validateCopyContest, cloneContest);
 
-router.post('/contest/:id/question/add', validateAddQuestion, addQuestion);
+router.post('/contest/:id/template', requirePermission('template:manage'), validateSaveTemplate, saveContestAsTemplate);
 
-router.put('/contest/:id/question/:questionIndex', validateAddQuestion, editQuestion);
+router.get('/contest/:id/registrations', requirePermission('contest:view'), getRegistrations);
 
-router.delete('/contest/:id/question/:questionIndex', deleteQuestion);
+router.post('/contest/:id/question/add', requirePermission('question:create'), validateAddQuestion, addQuestion);
 
-router.get('/contest/:id/leaderboard', getLeaderboard);
+router.put('/contest/:id/question/:questionIndex', requirePermission('question:edit'), validateAddQuestion, editQuestion);
 
-router.put('/contest/:id/status', changeStatus);
+router.delete('/contest/:id/question/:questionIndex', requirePermission('question:delete'), deleteQuestion);
+
+router.post('/contest/:id/questions/import', requirePermission('question:create'), validateImportQuestions, importQuestions);
+
+router.get('/contest/:id/questions/export', requirePermission('question:view'), exportQuestions);
+
+router.post('/contest/:id/questions/attach', requirePermission('question:edit'), validateAttachQuestions, attachQuestions);
+
+router.post('/contest/:id/questions/refresh', requirePermission('question:edit'), refreshQuestions);
+
+router.post('/contest/:id/questions/draw', requirePermission('question:edit'), drawQuestions);
+
+router.get('/contest/:id/leaderboard', requirePermission('contest:view'), getLeaderboard);
+
+router.post('/contest/:id/leaderboard/rebuild', requirePermission('contest:edit'), rebuildLeaderboard);
+
+router.put('/contest/:id/status', requirePermission('contest:edit'), changeStatus);
+
+router.post('/contest/:id/finalize', requirePermission('contest:finalize'), finalize);
+
+router.get('/prizes', requirePermission('prize:view'), getPrizes);
+
+router.get('/prizes/:id', requirePermission('prize:view'), getPrizeById);
+
+router.put('/prizes/:id/approve', requirePermission('prize:review'), validatePrizeAction, approvePrize);
+
+router.put('/prizes/:id/reject', requirePermission('prize:review'), validateRejectPrize, rejectPrize);
+
+router.put('/prizes/:id/fulfil', requirePermission('prize:fulfil'), validateFulfilPrize, fulfilPrize);
+
+router.get('/templates', requirePermission('template:manage'), getTemplates);
+
+router.post('/templates', requirePermission('template:manage'), validateCreateTemplate, createTemplate);
+
+router.get('/templates/:id', requirePermission('template:manage'), getTemplateById);
+
+router.put('/templates/:id', requirePermission('template:manage'), validateUpdateTemplate, updateTemplate);
+
+router.delete('/templates/:id', requirePermission('template:manage'), deleteTemplate);
+
+router.post('/templates/:id/instantiate', requirePermission('contest:create'), validateCopyContest, instantiateTemplate);
+
+router.get('/seasons', requirePermission('season:manage'), getSeasons);
+
+router.post('/seasons', requirePermission('season:manage'), validateCreateSeason, createSeason);
+
+router.get('/seasons/:id', requirePermission('season:manage'), getSeasonById);
+
+router.put('/seasons/:id', requirePermission('season:manage'), validateUpdateSeason, updateSeason);
+
+router.delete('/seasons/:id', requirePermission('season:manage'), deleteSeason);
+
+router.post('/ratings/recompute', requirePermission('rating:manage'), recomputeRatings);
+
+router.put('/users/:id/vip', requirePermission('vip:manage'), validateGrantVip, grantVip);
+
+router.delete('/users/:id/vip', requirePermission('vip:manage'), validateRevokeVip, revokeVip);
+
+router.get('/vip/events', requirePermission('vip:manage'), getVipEvents);
+
+router.get('/vip/codes', requirePermission('vip:manage'), getVipCodes);
+
+router.post('/vip/codes', requirePermission('vip:manage'), validateCreateVipCodes, createVipCodes);
+
+router.delete('/vip/codes/:id', requirePermission('vip:manage'), deactivateVipCode);
+
+router.get('/questions', requirePermission('question:view'), getBankQuestions);
+
+router.post('/questions', requirePermission('question:create'), validateBankQuestion, createBankQuestion);
+
+router.get('/questions/:questionId', requirePermission('question:view'), getBankQuestionById);
+
+router.put('/questions/:questionId', requirePermission('question:edit'), validateBankQuestion, updateBankQuestion);
+
+router.delete('/questions/:questionId', requirePermission('question:delete'), deleteBankQuestion);
 
 module.exports = router;
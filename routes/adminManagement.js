@@ -0,0 +1,36 @@
+const express = require('express');
+const { requirePermission } = require('../middleware/auth');
+const { validateCreateAdmin, validateChangeRole, validateChangeUserStatus, validateCreateRole, validateUpdateRole, validateAssignRoles } = require('../middleware/validation');
+const { getUsers, getUserById, createAdmin, changeRole, changeStatus, forcePasswordReset } = require('../services/adminManagementService.js');
+const { getPermissions, getRoles, getRoleById, createRole, updateRole, deleteRole, assignRoles } = require('../services/roleService.js');
+
+const router = express.Router();
+
+// server.js authenticates every /admin request; each route checks its permission
+router.get('/users', requirePermission('user:view'), getUsers);
+
+router.post('/users/admins', requirePermission('user:manage'), validateCreateAdmin, createAdmin);
+
+router.get('/users/:id', requirePermission('user:view'), getUserById);
+
+router.put('/users/:id/role', requirePermission('user:manage'), validateChangeRole, changeRole);
+
+router.put('/users/:id/status', requirePermission('user:manage'), validateChangeUserStatus, changeStatus);
+
+router.post('/users/:id/password-reset', requirePermission('user:manage'), forcePasswordReset);
+
+router.put('/users/:id/roles', requirePermission('role:manage'), validateAssignRoles, assignRoles);
+
+router.get('/permissions', requirePermission('role:manage'), getPermissions);
+
+router.get('/roles', requirePermission('role:manage'), getRoles);
+
+router.post('/roles', requirePermission('role:manage'), validateCreateRole, createRole);
+
+router.get('/roles/:id', requirePermission('role:manage'), getRoleById);
+
+router.put('/roles/:id', requirePermission('role:manage'), validateUpdateRole, updateRole);
+
+router.delete('/roles/:id', requirePermission('role:manage'), deleteRole);
+
+module.exports = router;
@@ -1,7 +1,7 @@
 const express = require('express');
 const { authenticate } = require('../middleware/auth');
-const { validateRegister, validateLogin } = require('../middleware/validation');
-const { register, login, getProfile, updateProfile, changePassword } = require('../services/authService');
+const { validateRegister, validateLogin, validateRefreshToken, validateVerifyEmail, validateForgotPassword, validateResetPassword } = require('../middleware/validation');
+const { register, login, getProfile, updateProfile, changePassword, refresh, logout, logoutAll, verifyEmail, resendVerification, forgotPassword, resetPassword } = require('../services/authService');
 
 const router = express.Router();
 
@@ -9,6 +9,20 @@ router.post('/register', validateRegister, register);
 
 router.post('/login', validateLogin, login);
 
+router.post('/refresh', validateRefreshToken, refresh);
+
+router.post('/logout', authenticate, validateRefreshToken, logout);
+
+router.post('/logout-all', authenticate, logoutAll);
+
+router.post('/verify-email', validateVerifyEmail, verifyEmail);
+
+router.post('/resend-verification', authenticate, resendVerification);
+
+router.post('/forgot-password', validateForgotPassword, forgotPassword);
+
+router.post('/reset-password', validateResetPassword, resetPassword);
+
 router.get('/profile', authenticate, getProfile);
 
 router.put('/profile', authenticate, updateProfile);
@@ -1,22 +1,91 @@
 const express = require('express');
-const { authenticate, optionalAuth, userOrAbove } = require('../middleware/auth');
-const { validateSubmitAnswers } = require('../middleware/validation');
-const { allContest, contestById, joinContest, submitContest, contestLeaderboard, history,prizes } = require('../services/userService.js');
+const { authenticate, optionalAuth, requirePermission, verifiedEmail, tokenFromQuery } = require('../middleware/auth');
+const { validateSubmitAnswers, validateSaveAnswer, validateClaimPrize, validateJoinContest, validateCreateTeam, validateUpdateTeam, validateInviteMember, validateTransferCaptain, validateRegisterTeam, validateRedeemVipCode } = require('../middleware/validation');
+const { allContest, contestById, joinContest, submitContest, saveAnswer, getDraft, finalizeAttempt, timeRemaining, contestLeaderboard, leaderboardAroundMe, history, prizes, claimPrize } = require('../services/userService.js');
+const { getSeasons, globalRankings, seasonRankings } = require('../services/seasonService.js');
+const { createTeam, myTeams, myInvites, getTeam, updateTeam, deleteTeam, inviteMember, acceptInvite, declineInvite, removeMember, transferCaptain, registerTeam, withdrawTeam, teamLeaderboard } = require('../services/teamService.js');
+const { registerForContest, registrationStatus, withdraw } = require('../services/registrationService.js');
+const { ratingLeaderboard } = require('../services/ratingService.js');
+const { vipStatus, redeemVipCode } = require('../services/vipService.js');
+const { leaderboardStream } = require('../services/leaderboardStream.js');
 
 const router = express.Router();
 
+// Taking part in contests and teams; guests may only browse
+const canParticipate = requirePermission('contest:participate');
+
 router.get('/contest/all', optionalAuth, allContest);
 
 router.get('/contest/:id', optionalAuth, contestById);
 
-router.post('/contest/:id/join', authenticate, userOrAbove, joinContest);
+router.post('/contest/:id/register', authenticate, canParticipate, verifiedEmail, registerForContest);
+
+router.get('/contest/:id/registration', authenticate, registrationStatus);
+
+router.post('/contest/:id/withdraw', authenticate, canParticipate, withdraw);
+
+router.post('/contest/:id/join', authenticate, canParticipate, verifiedEmail, validateJoinContest, joinContest);
+
+router.post('/contest/:id/submit', authenticate, canParticipate, validateSubmitAnswers, submitContest);
+
+router.put('/contest/:id/answer/:questionIndex', authenticate, canParticipate, validateSaveAnswer, saveAnswer);
+
+router.get('/contest/:id/draft', authenticate, canParticipate, getDraft);
+
+router.post('/contest/:id/finalize', authenticate, canParticipate, finalizeAttempt);
 
-router.post('/contest/:id/submit', authenticate, userOrAbove, validateSubmitAnswers, submitContest);
+router.get('/contest/:id/time-remaining', authenticate, timeRemaining);
 
 router.get('/contest/:id/leaderboard', optionalAuth, contestLeaderboard);
 
+router.get('/contest/:id/leaderboard/around-me', authenticate, leaderboardAroundMe);
+
+router.get('/contest/:id/leaderboard/stream', tokenFromQuery, optionalAuth, leaderboardStream);
+
+router.get('/contest/:id/leaderboard/teams', optionalAuth, teamLeaderboard);
+
+router.post('/contest/:id/teams', authenticate, canParticipate, validateRegisterTeam, registerTeam);
+
+router.delete('/contest/:id/teams/:teamId', authenticate, canParticipate, withdrawTeam);
+
+router.post('/teams', authenticate, canParticipate, validateCreateTeam, createTeam);
+
+router.get('/teams', authenticate, myTeams);
+
+router.get('/teams/invites', authenticate, myInvites);
+
+router.get('/teams/:id', authenticate, getTeam);
+
+router.put('/teams/:id', authenticate, validateUpdateTeam, updateTeam);
+
+router.delete('/teams/:id', authenticate, deleteTeam);
+
+router.post('/teams/:id/invites', authenticate, validateInviteMember, inviteMember);
+
+router.post('/teams/:id/invites/accept', authenticate, canParticipate, acceptInvite);
+
+router.post('/teams/:id/invites/decline', authenticate, declineInvite);
+
+router.delete('/teams/:id/members/:userId', authenticate, removeMember);
+
+router.put('/teams/:id/captain', authenticate, validateTransferCaptain, transferCaptain);
+
+router.get('/seasons', getSeasons);
+
+router.get('/rankings/global', optionalAuth, globalRankings);
+
+router.get('/rankings/season/:id', optionalAuth, seasonRankings);
+
+router.get('/rankings/rating', optionalAuth, ratingLeaderboard);
+
+router.get('/vip', authenticate, vipStatus);
+
+router.post('/vip/redeem', authenticate, canParticipate, validateRedeemVipCode, redeemVipCode);
+
 router.get('/history', authenticate, history);
 
 router.get('/prizes', authenticate, prizes);
 
+router.post('/prizes/:id/claim', authenticate, validateClaimPrize, claimPrize);
+
 module.exports = router;
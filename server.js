@@ -7,8 +7,21 @@ require('dotenv').config({ path: './config.env' });
 
 const authRoutes = require('./routes/auth.js');
 const adminRoutes = require('./routes/admin.js');
-// const adminManagementRoutes = require('./routes/adminManagement.js');
+const adminManagementRoutes = require('./routes/adminManagement.js');
 const userRoutes = require('./routes/user.js');
+const Prize = require('./models/Prize.js');
+const { authenticate } = require('./middleware/auth.js');
+const lifecycle = require('./services/lifecycleService.js');
+const { finalizeContest } = require('./services/finalizationService.js');
+const { closeExpiredAttempts, closeContestAttempts } = require('./services/attemptService.js');
+const { drawContestQuestions } = require('./services/questionBankService.js');
+const { createScheduledContests } = require('./services/templateService.js');
+const { rateContest } = require('./services/ratingService.js');
+const { expireVipMemberships } = require('./services/vipService.js');
+const { backfillSeatCounts } = require('./services/registrationService.js');
+const leaderboardEvents = require('./services/leaderboardEvents.js');
+const { updateLeaderboardCache } = require('./services/leaderboardCache.js');
+const { streamLeaderboardChange, closeLeaderboardStreams } = require('./services/leaderboardStream.js');
 
 const app = express();
 
@@ -27,15 +40,40 @@ app.use(limiter);
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
+// Contest lifecycle hooks
+lifecycle.onTransition('ONGOING', drawContestQuestions);
+lifecycle.onTransition('ENDED', closeContestAttempts);
+lifecycle.onTransition('ENDED', finalizeContest);
+lifecycle.onTransition('ENDED', rateContest);
+lifecycle.onTransition('ENDED', closeLeaderboardStreams);
+lifecycle.onSweep(closeExpiredAttempts);
+lifecycle.onSweep(createScheduledContests);
+lifecycle.onSweep(expireVipMemberships);
+
+// Live leaderboard updates; the cache is updated before streams read it
+leaderboardEvents.onChange(updateLeaderboardCache);
+leaderboardEvents.onChange(streamLeaderboardChange);
+
 // Database connection
 mongoose.connect(process.env.MONGODB_URI)
-.then(() => console.log('MongoDB connected successfully'))
+.then(async () => {
+  console.log('MongoDB connected successfully');
+  // Drop the old unique { contestId, userId } prize index before anything
+  // awards team prizes
+  await Prize.syncIndexes().catch(err => console.error('Prize index sync error:', err));
+  // Count seats in contests from before registration so capacity holds
+  await backfillSeatCounts().catch(err => console.error('Seat count backfill error:', err));
+  // Drive contest status from start/end times
+  lifecycle.start();
+})
 .catch(err => console.error('MongoDB connection error:', err));
 
 // Routes
 app.use('/auth', authRoutes);
+// Admin routers share one authentication; each route then checks its permission
+app.use('/admin', authenticate);
 app.use('/admin', adminRoutes);
-// app.use('/admin', adminManagementRoutes);
+app.use('/admin', adminManagementRoutes);
 app.use('/user', userRoutes);
 
 // Health check endpoint
@@ -0,0 +1,457 @@
+const crypto = require("crypto");
+const User = require("../models/User.js");
+const Participation = require("../models/Participation.js");
+const Prize = require("../models/Prize.js");
+const VipEvent = require("../models/VipEvent.js");
+const { sendPasswordResetEmail } = require("./authService.js");
+const leaderboardEvents = require("./leaderboardEvents.js");
+
+// Whether taking this user out of the admins would leave none active
+async function isLastAdmin(user) {
+  if (user.role !== "admin" || !user.isActive) return false;
+
+  const others = await User.countDocuments({
+    _id: { $ne: user._id },
+    role: "admin",
+    isActive: true,
+  });
+  return others === 0;
+}
+
+/**
+ * Re-check after an admin was demoted or deactivated: if no active admin is
+ * left (say two admins demoted each other at the same moment), put the
+ * user's previous values back. Returns whether the change can stand.
+ */
+async function keepsAnAdmin(user, previous) {
+  if (await User.exists({ role: "admin", isActive: true })) return true;
+
+  await User.updateOne({ _id: user._id }, { $set: previous });
+  return false;
+}
+
+// Staff with user:manage may manage everyone but admins; admin accounts are
+// left to admins
+function adminAccountError(req, user) {
+  if (user.role === "admin" && req.user.role !== "admin") {
+    return "Only admins can manage admin accounts";
+  }
+  return null;
+}
+
+// Date query parameter, or undefined when missing or invalid
+function parseDate(value) {
+  if (!value) return undefined;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+}
+
+async function getUsers(req, res) {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      role,
+      status,
+      search,
+      lastLoginBefore,
+      lastLoginAfter,
+      sort = "newest",
+    } = req.query;
+    const skip = (page - 1) * limit;
+
+    // Build filter object
+    const filter = {};
+    if (role) filter.role = role;
+    if (status === "active") filter.isActive = true;
+    if (status === "inactive") filter.isActive = false;
+    if (search) {
+      const escaped = String(search).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      filter.$or = [
+        { name: { $regex: escaped, $options: "i" } },
+        { email: { $regex: escaped, $options: "i" } },
+      ];
+    }
+
+    const before = parseDate(lastLoginBefore);
+    const after = parseDate(lastLoginAfter);
+    if (before || after) {
+      filter.lastLogin = {};
+      if (before) filter.lastLogin.$lt = before;
+      if (after) filter.lastLogin.$gte = after;
+    }
+
+    const sortOptions = {
+      newest: { createdAt: -1 },
+      oldest: { createdAt: 1 },
+      lastLogin: { lastLogin: -1 },
+      name: { name: 1 },
+    };
+
+    const users = await User.find(filter)
+      .select("-prizesWon")
+      .sort(sortOptions[sort] || sortOptions.newest)
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await User.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        users,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total,
+        },
+      },
+    });
+  } catch (error) {
+    console.log("Get Users Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+async function getUserById(req, res) {
+  try {
+    const user = await User.findById(req.params.id)
+      .select("-prizesWon +roleHistory")
+      .populate("staffRoles", "name permissions");
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const participations = await Participation.find({ userId: user._id })
+      .select("-answers -draftAnswers -questionSet")
+      .populate("contestId", "name type status startTime endTime")
+      .sort({ joinedAt: -1 })
+      .limit(50);
+
+    const prizes = await Prize.find({ userId: user._id })
+      .select("-deliveryDetails -statusHistory")
+      .sort({ awardedAt: -1 })
+      .limit(50);
+
+    res.json({
+      success: true,
+      data: {
+        user,
+        participations,
+        prizes,
+        stats: {
+          totalParticipations: await Participation.countDocuments({ userId: user._id }),
+          totalPrizes: await Prize.countDocuments({ userId: user._id }),
+        },
+      },
+    });
+  } catch (error) {
+    console.log("Get User By Id Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+async function createAdmin(req, res) {
+  try {
+    const { name, email, password } = req.body;
+
+    if (req.user.role !== "admin") {
+      return res.status(403).json({
+        success: false,
+        message: "Only admins can create admins",
+      });
+    }
+
+    // Check if user already exists
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        message: "User already exists with this email",
+      });
+    }
+
+    // Created by an admin, so the address is taken as confirmed
+    const user = await User.create({
+      name,
+      email,
+      password,
+      role: "admin",
+      emailVerified: true,
+      emailVerifiedAt: new Date(),
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Admin created successfully",
+      data: {
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+        },
+      },
+    });
+  } catch (error) {
+    console.log("Create Admin Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+async function changeRole(req, res) {
+  try {
+    const { role, note } = req.body;
+
+    // VIP goes through vipService so every grant is audited
+    if (role === "vip") {
+      return res.status(400).json({
+        success: false,
+        message: "Use the VIP membership endpoints to grant VIP",
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const accountError =
+      role === "admin" && req.user.role !== "admin"
+        ? "Only admins can promote users to admin"
+        : adminAccountError(req, user);
+    if (accountError) {
+      return res.status(403).json({
+        success: false,
+        message: accountError,
+      });
+    }
+
+    if (user.role === role) {
+      return res.status(400).json({
+        success: false,
+        message: `User is already ${role}`,
+      });
+    }
+
+    if (role !== "admin" && (await isLastAdmin(user))) {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot demote the last remaining admin",
+      });
+    }
+
+    const previousRole = user.role;
+    const previousExpiresAt = user.vipExpiresAt;
+    user.role = role;
+    user.vipExpiresAt = null;
+    await user.save();
+
+    if (
+      previousRole === "admin" &&
+      user.isActive &&
+      !(await keepsAnAdmin(user, { role: previousRole, vipExpiresAt: previousExpiresAt }))
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot demote the last remaining admin",
+      });
+    }
+
+    // Leaving VIP this way still ends the membership on record
+    if (previousRole === "vip") {
+      await VipEvent.create({
+        userId: user._id,
+        action: "REVOKED",
+        source: "admin",
+        actorId: req.user._id,
+        previousExpiresAt,
+        expiresAt: null,
+        note: note || `Role changed to ${role}`,
+      });
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $push: {
+          roleHistory: {
+            from: previousRole,
+            to: role,
+            changedBy: req.user._id,
+            changedAt: new Date(),
+            note,
+          },
+        },
+      }
+    );
+
+    res.json({
+      success: true,
+      message: "User role updated successfully",
+      data: {
+        id: user._id,
+        previousRole,
+        role: user.role,
+      },
+    });
+  } catch (error) {
+    console.log("Change Role Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+async function changeStatus(req, res) {
+  try {
+    const { isActive } = req.body;
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const accountError = adminAccountError(req, user);
+    if (accountError) {
+      return res.status(403).json({
+        success: false,
+        message: accountError,
+      });
+    }
+
+    if (user.isActive === isActive) {
+      return res.status(400).json({
+        success: false,
+        message: isActive ? "User is already active" : "User is already deactivated",
+      });
+    }
+
+    if (!isActive && (await isLastAdmin(user))) {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot deactivate the last remaining admin",
+      });
+    }
+
+    // Deactivating ends the user's sessions (see the User pre-save hook)
+    user.isActive = isActive;
+    await user.save();
+
+    if (
+      !isActive &&
+      user.role === "admin" &&
+      !(await keepsAnAdmin(user, { isActive: true }))
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot deactivate the last remaining admin",
+      });
+    }
+
+    await leaderboardEvents.userChanged(user._id);
+
+    res.json({
+      success: true,
+      message: isActive
+        ? "User reactivated successfully"
+        : "User deactivated successfully",
+      data: {
+        id: user._id,
+        isActive: user.isActive,
+      },
+    });
+  } catch (error) {
+    console.log("Change User Status Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+/**
+ * Lock the user out until they choose a new password: a reset link is
+ * emailed to them, then the current password is replaced with a random one
+ * (which also ends their sessions). If the email cannot be sent the account
+ * is left as it was.
+ */
+async function forcePasswordReset(req, res) {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    if (!user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: "Account is deactivated",
+      });
+    }
+
+    const accountError = adminAccountError(req, user);
+    if (accountError) {
+      return res.status(403).json({
+        success: false,
+        message: accountError,
+      });
+    }
+
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Use change password for your own account",
+      });
+    }
+
+    await sendPasswordResetEmail(user);
+    user.password = crypto.randomBytes(32).toString("base64url");
+    await user.save();
+
+    res.json({
+      success: true,
+      message: "Password reset forced; a reset link has been sent to the user",
+    });
+  } catch (error) {
+    console.log("Force Password Reset Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+module.exports = {
+  getUsers,
+  getUserById,
+  createAdmin,
+  changeRole,
+  changeStatus,
+  forcePasswordReset,
+};
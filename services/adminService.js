@@ -1,8 +1,27 @@
 const Contest = require('../models/Contest.js');
 const Participation = require('../models/Participation.js');
+const Prize = require('../models/Prize.js');
+const User = require('../models/User.js');
+const lifecycle = require('./lifecycleService.js');
+const { finalizeContest } = require('./finalizationService.js');
+const leaderboardCache = require('./leaderboardCache.js');
+const leaderboardEvents = require('./leaderboardEvents.js');
+const { seasonError } = require('./seasonService.js');
+const { promoteFromWaitlist } = require('./registrationService.js');
+const { schemas } = require('../middleware/validation.js');
+const { questionError } = require('../models/questionContent.js');
+const questionFormats = require('../utils/questionFormats.js');
 
 async function createContest(req, res) {
   try {
+    const invalidSeason = await seasonError(req.body.seasonId);
+    if (invalidSeason) {
+      return res.status(400).json({
+        success: false,
+        message: invalidSeason,
+      });
+    }
+
     const contestData = {
       ...req.body,
       createdBy: req.user._id,
@@ -22,8 +41,14 @@ async function createContest(req, res) {
           startTime: contest.startTime,
           endTime: contest.endTime,
           prizeInfo: contest.prizeInfo,
+          prizeWinners: contest.prizeWinners,
+          prizeTiers: contest.prizeTiers,
+          prizeTiePolicy: contest.prizeTiePolicy,
+          answerReveal: contest.answerReveal,
+          scoring: contest.scoring,
           status: contest.status,
           maxParticipants: contest.maxParticipants,
+          seasonId: contest.seasonId,
           createdAt: contest.createdAt,
         },
       },
@@ -134,11 +159,29 @@ async function updateContest(req, res) {
     });
     }
 
+    const invalidSeason = await seasonError(req.body.seasonId);
+    if (invalidSeason) {
+      return res.status(400).json({
+        success: false,
+        message: invalidSeason,
+      });
+    }
+
     // Check if contest has started and prevent certain updates
     const now = new Date();
     if (now >= contest.startTime) {
       // If contest has started, only allow certain fields to be updated
-      const allowedUpdates = ["description", "prizeInfo", "maxParticipants"];
+      const allowedUpdates = [
+        "description",
+        "prizeInfo",
+        "prizeWinners",
+        "prizeTiers",
+        "prizeTiePolicy",
+        "answerReveal",
+        "maxParticipants",
+        "registrationClosesAt",
+        "seasonId",
+      ];
       const updates = {};
 
       allowedUpdates.forEach((field) => {
@@ -160,8 +203,20 @@ async function updateContest(req, res) {
       Object.assign(contest, req.body);
     }
 
+    const seatsAdded = contest.isModified("maxParticipants");
+    const rankingChanged = contest.isModified("ranking");
     await contest.save();
 
+    // Cached boards are ordered by the old rules
+    if (rankingChanged) {
+      leaderboardEvents.changed(contest._id);
+    }
+
+    // More seats go to the waitlist straight away
+    if (seatsAdded && contest.status !== "ENDED") {
+      await promoteFromWaitlist(contest._id);
+    }
+
     res.json({
       success: true,
       message: "Contest updated successfully",
@@ -236,7 +291,7 @@ async function addQuestion(req, res) {
     }
 
     // Validate question based on type
-    const { questionText, type, options, points } = req.body;
+    const { type, options } = req.body;
 
     if (type === "true-false" && options.length !== 2) {
       return res.status(400).json({
@@ -257,7 +312,10 @@ async function addQuestion(req, res) {
     });
     }
 
-    if (options.filter((opt) => opt.isCorrect).length === 0) {
+    if (
+      Contest.CHOICE_TYPES.includes(type) &&
+      options.filter((opt) => opt.isCorrect).length === 0
+    ) {
       return res.status(400).json({
         success: false,
         message: "Question must have at least one correct option"
@@ -266,10 +324,8 @@ async function addQuestion(req, res) {
 
     // Add question to contest
     contest.questions.push({
-      questionText,
-      type,
-      options,
-      points: points || 1,
+      ...req.body,
+      points: req.body.points || 1,
     });
 
     await contest.save();
@@ -323,9 +379,7 @@ async function editQuestion(req, res) {
 
     // Update question
     contest.questions[questionIndex] = {
-      questionText: req.body.questionText,
-      type: req.body.type,
-      options: req.body.options,
+      ...req.body,
       points: req.body.points || 1,
     };
 
@@ -396,7 +450,26 @@ async function deleteQuestion(req, res) {
   }
 }
 
-async function getLeaderboard(req, res) {
+// Check one imported question with the same rules as addQuestion and the Contest model
+function checkImportRow({ row, question, errors }) {
+  const problems = [...errors];
+  const { error, value } = schemas.addQuestion.validate(question, {
+    abortEarly: false,
+    stripUnknown: true,
+    convert: true,
+  });
+
+  if (error) {
+    problems.push(...error.details.map((detail) => detail.message));
+  } else {
+    const typeError = questionError(value);
+    if (typeError) problems.push(`Question (${value.type}) ${typeError}`);
+  }
+
+  return { row, question: error ? question : value, errors: problems };
+}
+
+async function importQuestions(req, res) {
   try {
     const contest = await Contest.findById(req.params.id);
 
@@ -407,14 +480,149 @@ async function getLeaderboard(req, res) {
     });
     }
 
-    const leaderboard = await Participation.find({ contestId: contest._id })
-      .populate("userId", "name email")
-      .sort({ score: -1, submittedAt: 1 })
-      .select("userId score correctAnswers wrongAnswers submittedAt timeSpent");
+    // Check if contest has started
+    const now = new Date();
+    if (now >= contest.startTime) {
+      return res.status(400).json({
+        success: false,
+        message:
+        "Cannot add questions to contest after it has started"
+    });
+    }
+
+    const { format, content, dryRun } = req.body;
+    const parsed = questionFormats.parseQuestions(format, content);
+
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsed.error
+    });
+    }
+
+    if (parsed.rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "No questions found to import"
+    });
+    }
+
+    const rows = parsed.rows.map(checkImportRow);
+    const invalidRows = rows.filter((row) => row.errors.length > 0);
+    const summary = {
+      format,
+      total: rows.length,
+      valid: rows.length - invalidRows.length,
+      invalid: invalidRows.length,
+    };
+
+    if (dryRun) {
+      return res.json({
+        success: true,
+        message: invalidRows.length > 0
+          ? "Dry run found problems; nothing was imported"
+          : "Dry run passed; nothing was imported",
+        data: { dryRun: true, ...summary, rows },
+      });
+    }
+
+    // All or nothing, so a fixed file can simply be imported again
+    if (invalidRows.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Import failed validation; no questions were added",
+        data: { ...summary, rows: invalidRows },
+      });
+    }
 
-    // Add rank to each participant
-    leaderboard.forEach((participant, index) => {
-      participant.rank = index + 1;
+    rows.forEach(({ question }) => {
+      contest.questions.push(question);
+    });
+    await contest.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Questions imported successfully",
+      data: {
+        ...summary,
+        imported: rows.length,
+        totalQuestions: contest.questions.length,
+      },
+    });
+  } catch (error) {
+    console.log("Import Questions Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+async function exportQuestions(req, res) {
+  try {
+    const { format = "json" } = req.query;
+
+    if (!questionFormats.FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: "Format must be json, csv, or gift"
+    });
+    }
+
+    const contest = await Contest.findById(req.params.id);
+
+    if (!contest) {
+      return res.status(400).json({
+        success: false,
+        message: "Contest not found"
+    });
+    }
+
+    res.type(questionFormats.CONTENT_TYPES[format]);
+    res.attachment(
+      `contest-${contest._id}-questions.${questionFormats.FILE_EXTENSIONS[format]}`
+    );
+    res.send(questionFormats.formatQuestions(format, contest.questions));
+  } catch (error) {
+    console.log("Export Questions Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+async function getLeaderboard(req, res) {
+  try {
+    const contest = await Contest.findById(req.params.id);
+
+    if (!contest) {
+      return res.status(400).json({
+        success: false,
+        message: "Contest not found"
+    });
+    }
+
+    const { page = 1, limit = 100 } = req.query;
+    const { entries, total, page: current, limit: size } = await leaderboardCache.getPage(
+      contest._id,
+      { page: parseInt(page) || 1, limit: parseInt(limit) || 100 }
+    );
+
+    // Admins also see contact details for the page shown
+    const users = await User.find({
+      _id: { $in: entries.map((entry) => entry.userId._id) },
+    }).select("email");
+    const emails = new Map(users.map((user) => [user._id.toString(), user.email]));
+    const leaderboard = entries.map((entry) => ({
+      ...entry,
+      userId: { ...entry.userId, email: emails.get(entry.userId._id) },
+    }));
+
+    // Participants still answering are not on the board yet
+    const inProgress = await Participation.countDocuments({
+      contestId: contest._id,
+      isCompleted: false,
     });
 
     res.json({
@@ -426,6 +634,12 @@ async function getLeaderboard(req, res) {
           status: contest.status,
         },
         leaderboard,
+        inProgress,
+        pagination: {
+          current,
+          pages: Math.ceil(total / size),
+          total,
+        },
       },
     });
   } catch (error) {
@@ -437,6 +651,36 @@ async function getLeaderboard(req, res) {
   }
 }
 
+async function rebuildLeaderboard(req, res) {
+  try {
+    const contest = await Contest.findById(req.params.id);
+
+    if (!contest) {
+      return res.status(400).json({
+        success: false,
+        message: "Contest not found"
+    });
+    }
+
+    const board = await leaderboardCache.rebuild(contest._id);
+
+    res.json({
+      success: true,
+      message: "Leaderboard rebuilt successfully",
+      data: {
+        totalRanked: board.entries.length,
+        builtAt: board.builtAt,
+      },
+    });
+  } catch (error) {
+    console.log("Rebuild Leaderboard Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
 async function changeStatus(req, res) {
   try {
     const { status } = req.body;
@@ -459,13 +703,13 @@ async function changeStatus(req, res) {
     });
     }
 
-    contest.status = status;
-    await contest.save();
+    // Forward changes fire the same lifecycle hooks as the scheduler
+    const updatedContest = await lifecycle.setStatus(contest, status);
 
     res.json({
       success: true,
       message: "Contest status updated successfully",
-      data: { contest },
+      data: { contest: updatedContest },
     });
   } catch (error) {
     console.log("Create Contest Error: ", error);
@@ -476,6 +720,184 @@ async function changeStatus(req, res) {
   }
 }
 
+async function finalize(req, res) {
+  try {
+    const contest = await Contest.findById(req.params.id);
+
+    if (!contest) {
+      return res.status(400).json({
+        success: false,
+        message: "Contest not found"
+    });
+    }
+
+    if (contest.status !== "ENDED") {
+      return res.status(400).json({
+        success: false,
+        message: "Only ended contests can be finalized"
+    });
+    }
+
+    // Re-running is safe: ranks are recomputed and prizes are never duplicated
+    const result = await finalizeContest(contest);
+
+    res.json({
+      success: true,
+      message: "Contest finalized successfully",
+      data: {
+        ...result,
+        finalizedAt: contest.finalizedAt,
+      },
+    });
+  } catch (error) {
+    console.log("Finalize Contest Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+async function getPrizes(req, res) {
+  try {
+    const { page = 1, limit = 10, status, contestId, userId } = req.query;
+    const skip = (page - 1) * limit;
+
+    // Build filter object
+    const filter = {};
+    if (status) filter.status = status;
+    if (contestId) filter.contestId = contestId;
+    if (userId) filter.userId = userId;
+
+    const prizes = await Prize.find(filter)
+      .populate("userId", "name email")
+      .populate("contestId", "name")
+      .sort({ awardedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Prize.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        prizes,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total,
+        },
+      },
+    });
+  } catch (error) {
+    console.log("Get Prizes Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+async function getPrizeById(req, res) {
+  try {
+    const prize = await Prize.findById(req.params.id)
+      .populate("userId", "name email")
+      .populate("contestId", "name")
+      .populate("statusHistory.changedBy", "name email");
+
+    if (!prize) {
+      return res.status(400).json({
+        success: false,
+        message: "Prize not found"
+    });
+    }
+
+    res.json({
+      success: true,
+      data: { prize },
+    });
+  } catch (error) {
+    console.log("Get Prize By Id Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+// Shared by the admin prize actions; targetFor picks the next status from the current one
+async function changePrizeStatus(req, res, targetFor, applyExtra) {
+  const prize = await Prize.findById(req.params.id);
+
+  if (!prize) {
+    return res.status(400).json({
+      success: false,
+      message: "Prize not found"
+  });
+  }
+
+  const target = targetFor(prize);
+  if (!prize.canTransitionTo(target)) {
+    return res.status(400).json({
+      success: false,
+      message: `Cannot move prize from ${prize.status} to ${target}`
+  });
+  }
+
+  prize.transitionTo(target, req.user._id, req.body.note);
+  if (applyExtra) applyExtra(prize);
+  await prize.save();
+
+  res.json({
+    success: true,
+    message: `Prize ${target.toLowerCase()} successfully`,
+    data: { prize },
+  });
+}
+
+async function approvePrize(req, res) {
+  try {
+    // Pending awards become claimable; submitted claims are approved for fulfilment
+    await changePrizeStatus(req, res, (prize) =>
+      prize.status === "PENDING" ? "GRANTED" : "APPROVED"
+    );
+  } catch (error) {
+    console.log("Approve Prize Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+async function rejectPrize(req, res) {
+  try {
+    await changePrizeStatus(req, res, () => "REJECTED");
+  } catch (error) {
+    console.log("Reject Prize Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+async function fulfilPrize(req, res) {
+  try {
+    await changePrizeStatus(req, res, () => "FULFILLED", (prize) => {
+      if (req.body.fulfilmentReference) {
+        prize.fulfilmentReference = req.body.fulfilmentReference;
+      }
+    });
+  } catch (error) {
+    console.log("Fulfil Prize Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
 module.exports = {
     createContest,
     getContest,
@@ -485,6 +907,15 @@ module.exports = {
     addQuestion,
     editQuestion,
     deleteQuestion,
+    importQuestions,
+    exportQuestions,
     getLeaderboard,
-    changeStatus
+    rebuildLeaderboard,
+    changeStatus,
+    finalize,
+    getPrizes,
+    getPrizeById,
+    approvePrize,
+    rejectPrize,
+    fulfilPrize
 }
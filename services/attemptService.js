@@ -0,0 +1,259 @@
+const Contest = require("../models/Contest.js");
+const Participation = require("../models/Participation.js");
+const leaderboardEvents = require("./leaderboardEvents.js");
+
+// Personal deadline for a participant joining at joinedAt, capped at the contest end
+function deadlineFor(contest, joinedAt) {
+  if (!contest.durationMinutes) return null;
+
+  const deadline = new Date(
+    joinedAt.getTime() + contest.durationMinutes * 60 * 1000
+  );
+  return deadline < contest.endTime ? deadline : contest.endTime;
+}
+
+// Deadline that actually applies: the personal timer if any, otherwise the contest end
+function effectiveDeadline(contest, participation) {
+  return participation.deadline || contest.endTime;
+}
+
+// Last moment a submission is still accepted, including the late grace period.
+// The contest end is a hard stop that grace never extends past.
+function submissionCutoff(contest, participation) {
+  const deadline = effectiveDeadline(contest, participation);
+  if (!participation.deadline || contest.latePolicy === "reject") {
+    return deadline;
+  }
+
+  const cutoff = new Date(
+    deadline.getTime() + (contest.lateGraceSeconds || 0) * 1000
+  );
+  return cutoff < contest.endTime ? cutoff : contest.endTime;
+}
+
+function timeRemaining(contest, participation, now = new Date()) {
+  const deadline = effectiveDeadline(contest, participation);
+  const remainingSeconds = Math.max(
+    0,
+    Math.floor((deadline.getTime() - now.getTime()) / 1000)
+  );
+
+  return {
+    deadline,
+    remainingSeconds,
+    expired: remainingSeconds === 0,
+    durationMinutes: contest.durationMinutes || null,
+    serverTime: now,
+  };
+}
+
+// Check one answer against its question. Returns an error message, or null when valid.
+function validateAnswer(contest, participation, answer) {
+  const question = contest.questions[answer.questionIndex];
+  const assigned = participation.questionIndices(contest.questions.length);
+  if (!question || !assigned.includes(answer.questionIndex)) {
+    return `Invalid question index: ${answer.questionIndex}`;
+  }
+
+  // A blank answer is a skip, scored under the contest's skip policy
+  if (Participation.isBlank(answer)) return null;
+
+  const label = `Question ${answer.questionIndex + 1}`;
+  const selectedOptions = answer.selectedOptions || [];
+
+  if (question.type === "numeric") {
+    if (typeof answer.numericAnswer !== "number") {
+      return `${label} requires a numeric answer`;
+    }
+    return null;
+  }
+
+  if (question.type === "short-text") {
+    if (!answer.textAnswer) {
+      return `${label} requires a text answer`;
+    }
+    return null;
+  }
+
+  // Validate selected options
+  const invalidOption = selectedOptions.find(
+    (optionIndex) => optionIndex < 0 || optionIndex >= question.options.length
+  );
+  if (invalidOption !== undefined) {
+    return `Invalid option index ${invalidOption} for ${label.toLowerCase()}`;
+  }
+
+  // Validate answer format based on question type
+  if (question.type === "ordering") {
+    const distinct = new Set(selectedOptions);
+    if (
+      selectedOptions.length !== question.options.length ||
+      distinct.size !== selectedOptions.length
+    ) {
+      return `${label} requires every option exactly once, in your chosen order`;
+    }
+  }
+
+  if (
+    (question.type === "single-select" || question.type === "true-false") &&
+    selectedOptions.length !== 1
+  ) {
+    return `${label} requires exactly one answer`;
+  }
+
+  return null;
+}
+
+// Only the fields that apply to the question type are kept
+function answerFields(answer) {
+  return {
+    questionIndex: answer.questionIndex,
+    selectedOptions: answer.selectedOptions || [],
+    numericAnswer:
+      answer.numericAnswer === undefined ? null : answer.numericAnswer,
+    textAnswer: answer.textAnswer,
+  };
+}
+
+/**
+ * Check submitted answers against the contest questions. Returns an error
+ * message, or null when the answers are valid. Questions left out or
+ * answered blank are skipped.
+ */
+function validateAnswers(contest, participation, answers) {
+  const seen = new Set();
+  for (const answer of answers) {
+    if (seen.has(answer.questionIndex)) {
+      return `Question ${answer.questionIndex + 1} is answered more than once`;
+    }
+    seen.add(answer.questionIndex);
+
+    const error = validateAnswer(contest, participation, answer);
+    if (error) return error;
+  }
+
+  return null;
+}
+
+// Save or overwrite the draft answer to one question (caller saves)
+function saveDraftAnswer(participation, answer, now = new Date()) {
+  const existing = participation.draftAnswers.find(
+    (draft) => draft.questionIndex === answer.questionIndex
+  );
+
+  if (existing) {
+    existing.set({ ...answerFields(answer), savedAt: now });
+  } else {
+    participation.draftAnswers.push({ ...answerFields(answer), savedAt: now });
+  }
+
+  return participation.draftAnswers;
+}
+
+/**
+ * Score and close a participation. Without explicit answers the saved drafts
+ * are scored instead. Late answers may be penalised according to the
+ * contest's late policy. The caller validates answers.
+ */
+function closeAttempt(contest, participation, answers, { now = new Date(), autoClosed = false } = {}) {
+  const deadline = effectiveDeadline(contest, participation);
+  let lateAnswers;
+
+  if (answers) {
+    participation.answers = answers.map(answerFields);
+    lateAnswers = now > deadline;
+  } else {
+    participation.answers = participation.draftAnswers.map(answerFields);
+    lateAnswers = participation.draftAnswers.some(
+      (draft) => draft.savedAt > deadline
+    );
+  }
+
+  const scoreResult = participation.calculateScore(
+    contest.questions,
+    contest.scoring
+  );
+
+  if (participation.deadline && lateAnswers) {
+    participation.isLate = true;
+
+    if (contest.latePolicy === "penalize") {
+      // Negative scores are not pushed further down by the late penalty
+      const penalty =
+        Math.round(Math.max(0, participation.score) * contest.latePenaltyPercent) / 100;
+      participation.latePenalty = penalty;
+      participation.score -= penalty;
+      scoreResult.score = participation.score;
+    }
+  }
+
+  // Auto-closed attempts count as submitted when time ran out
+  if (autoClosed) {
+    participation.autoClosed = true;
+    participation.submittedAt = now < deadline ? now : deadline;
+  } else {
+    participation.submittedAt = now;
+  }
+  participation.calculateTimeSpent();
+
+  return scoreResult;
+}
+
+// Close and score the given attempts; unless forced, only those past their submission cutoff
+async function closeExpired(participations, contestMap, now, { force = false } = {}) {
+  let closed = 0;
+  for (const participation of participations) {
+    const contest = contestMap.get(participation.contestId.toString());
+    if (!contest) continue;
+    if (!force && now <= submissionCutoff(contest, participation)) continue;
+
+    closeAttempt(contest, participation, null, { now, autoClosed: true });
+    await participation.save();
+    leaderboardEvents.changed(contest._id, participation);
+    closed += 1;
+  }
+  return closed;
+}
+
+// Close every timed attempt whose submission window has passed, scoring its drafts
+async function closeExpiredAttempts(now = new Date()) {
+  const expired = await Participation.find({
+    isCompleted: false,
+    deadline: { $ne: null, $lt: now },
+  });
+  if (expired.length === 0) return 0;
+
+  const contestIds = [...new Set(expired.map((p) => p.contestId.toString()))];
+  const contests = await Contest.find({ _id: { $in: contestIds } });
+  const contestMap = new Map(contests.map((c) => [c._id.toString(), c]));
+
+  return closeExpired(expired, contestMap, now);
+}
+
+// Lifecycle hook: score every unfinished attempt from its drafts before the
+// contest is finalized, including when an admin ends it before its end time
+async function closeContestAttempts(contest) {
+  const now = new Date();
+  const open = await Participation.find({
+    contestId: contest._id,
+    isCompleted: false,
+  });
+
+  return closeExpired(open, new Map([[contest._id.toString(), contest]]), now, {
+    force: true,
+  });
+}
+
+module.exports = {
+  deadlineFor,
+  effectiveDeadline,
+  submissionCutoff,
+  timeRemaining,
+  validateAnswer,
+  validateAnswers,
+  answerFields,
+  saveDraftAnswer,
+  closeAttempt,
+  closeExpiredAttempts,
+  closeContestAttempts,
+};
@@ -1,9 +1,119 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
 const User = require("../models/User");
+const RefreshToken = require("../models/RefreshToken");
+const UserToken = require("../models/UserToken");
+const Role = require("../models/Role");
 const { generateToken } = require("../middleware/auth");
+const { sendMail, appLink } = require("./mailService");
+const leaderboardEvents = require("./leaderboardEvents");
+
+const DEFAULT_REFRESH_DAYS = 30;
+
+// Lifetime of emailed tokens
+const TOKEN_HOURS = {
+  "verify-email": 48,
+  "reset-password": 1,
+};
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Issue an access token and a refresh token. The refresh token continues the
+ * given family (when rotating) or starts a new one (a new login).
+ */
+async function issueTokens(user, req, familyId = new mongoose.Types.ObjectId()) {
+  const refreshToken = crypto.randomBytes(48).toString("base64url");
+  const days =
+    parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || DEFAULT_REFRESH_DAYS;
+
+  const record = await RefreshToken.create({
+    userId: user._id,
+    tokenHash: hashToken(refreshToken),
+    familyId,
+    expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+    userAgent: (req.get("user-agent") || "").slice(0, 300),
+    ip: req.ip,
+  });
+
+  return {
+    token: generateToken(user._id),
+    refreshToken,
+    record,
+  };
+}
+
+// New single-use emailed token; earlier unused ones for the same purpose stop working
+async function createUserToken(user, purpose) {
+  const token = crypto.randomBytes(32).toString("base64url");
+
+  await UserToken.deleteMany({ userId: user._id, purpose, usedAt: null });
+  await UserToken.create({
+    userId: user._id,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + TOKEN_HOURS[purpose] * 60 * 60 * 1000),
+  });
+
+  return token;
+}
+
+// Mark an emailed token used; returns it, or null if it is unknown, used or expired
+function consumeUserToken(token, purpose) {
+  const now = new Date();
+  return UserToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: now } },
+    { $set: { usedAt: now } },
+    { new: true }
+  );
+}
+
+async function sendVerificationEmail(user) {
+  const token = await createUserToken(user, "verify-email");
+
+  await sendMail({
+    to: user.email,
+    subject: "Verify your email address",
+    text: [
+      `Hi ${user.name},`,
+      "",
+      "Please confirm your email address to start joining contests:",
+      appLink("/verify-email", { token }),
+      "",
+      `This link expires in ${TOKEN_HOURS["verify-email"]} hours.`,
+    ].join("\n"),
+  });
+}
+
+async function sendPasswordResetEmail(user) {
+  const token = await createUserToken(user, "reset-password");
+
+  await sendMail({
+    to: user.email,
+    subject: "Reset your password",
+    text: [
+      `Hi ${user.name},`,
+      "",
+      "Use this link to choose a new password:",
+      appLink("/reset-password", { token }),
+      "",
+      `This link expires in ${TOKEN_HOURS["reset-password"]} hour and can only be used once.`,
+      "If you did not ask for a password reset, you can ignore this email.",
+    ].join("\n"),
+  });
+}
+
+function revokeFamily(familyId) {
+  return RefreshToken.updateMany(
+    { familyId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+}
 
 async function register(req, res) {
   try {
-    const { name, email, password, role } = req.body;
+    const { name, email, password } = req.body;
 
     // Check if user already exists
     const existingUser = await User.findOne({ email });
@@ -14,16 +124,24 @@ async function register(req, res) {
       });
     }
 
-    // Create user
+    // Create user; contests can be joined once the email address is verified
     const user = await User.create({
       name,
       email,
       password,
-      role: role || "normal",
+      role: "normal",
+      emailVerified: false,
     });
 
-    // Generate token
-    const token = generateToken(user._id);
+    try {
+      await sendVerificationEmail(user);
+    } catch (error) {
+      // The account still works; the user can ask for another email
+      console.log("Verification Email Error", error);
+    }
+
+    // Generate tokens
+    const { token, refreshToken } = await issueTokens(user, req);
 
     return res.status(201).json({
       success: true,
@@ -34,9 +152,11 @@ async function register(req, res) {
           name: user.name,
           email: user.email,
           role: user.role,
+          emailVerified: user.emailVerified,
           createdAt: user.createdAt,
         },
         token,
+        refreshToken,
       },
     });
   } catch (error) {
@@ -83,8 +203,8 @@ async function login(req, res) {
     user.lastLogin = new Date();
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Generate tokens
+    const { token, refreshToken } = await issueTokens(user, req);
 
     return res.json({
       success: true,
@@ -98,6 +218,7 @@ async function login(req, res) {
           lastLogin: user.lastLogin,
         },
         token,
+        refreshToken,
       },
     });
   } catch (error) {
@@ -111,10 +232,9 @@ async function login(req, res) {
 
 async function getProfile(req, res) {
   try {
-    const user = await User.findById(req.user._id).populate(
-      "prizesWon.contestId",
-      "name"
-    );
+    const user = await User.findById(req.user._id)
+      .select("+ratingHistory")
+      .populate("prizesWon.contestId", "name");
 
     return res.json({
       success: true,
@@ -124,7 +244,13 @@ async function getProfile(req, res) {
           name: user.name,
           email: user.email,
           role: user.role,
+          // What the admin API lets this user do
+          permissions: await Role.permissionsFor(user),
+          emailVerified: user.emailVerified,
           prizesWon: user.prizesWon,
+          rating: user.rating,
+          ratedContests: user.ratedContests,
+          ratingHistory: user.ratingHistory,
           createdAt: user.createdAt,
           lastLogin: user.lastLogin,
         },
@@ -164,6 +290,11 @@ async function updateProfile(req, res) {
       runValidators: true,
     });
 
+    // Leaderboards show the user's name
+    if (user.name !== req.user.name) {
+      await leaderboardEvents.userChanged(user._id);
+    }
+
     return res.json({
       success: true,
       message: "Profile updated successfully",
@@ -215,13 +346,24 @@ async function changePassword(req, res) {
       });
     }
 
-    // Update password
+    // Update password; saving revokes every earlier token
     user.password = newPassword;
     await user.save();
+    await RefreshToken.updateMany(
+      { userId: user._id, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+
+    // This session carries on with fresh tokens
+    const { token, refreshToken } = await issueTokens(user, req);
 
     return res.json({
       success: true,
       message: "Password changed successfully",
+      data: {
+        token,
+        refreshToken,
+      },
     });
   } catch (error) {
     console.log("Change-Password Error", error);
@@ -232,10 +374,252 @@ async function changePassword(req, res) {
   }
 }
 
+// Exchange a refresh token for a new access token and refresh token
+async function refresh(req, res) {
+  try {
+    const tokenHash = hashToken(req.body.refreshToken);
+    const now = new Date();
+
+    // Claim the token; only one exchange can succeed
+    const current = await RefreshToken.findOneAndUpdate(
+      { tokenHash, usedAt: null, revokedAt: null, expiresAt: { $gt: now } },
+      { $set: { usedAt: now } },
+      { new: true }
+    );
+
+    if (!current) {
+      const known = await RefreshToken.findOne({ tokenHash });
+      // A used or revoked token being replayed: end that whole login
+      if (known && (known.usedAt || known.revokedAt)) {
+        await revokeFamily(known.familyId);
+        console.log(`Refresh token reuse detected for user ${known.userId}`);
+      }
+      return res.status(401).json({
+        success: false,
+        message: "Invalid or expired refresh token. Please log in again.",
+      });
+    }
+
+    const user = await User.findById(current.userId);
+    if (!user || !user.isActive || user.tokenRevoked(current.createdAt.getTime())) {
+      await revokeFamily(current.familyId);
+      return res.status(401).json({
+        success: false,
+        message: "Invalid or expired refresh token. Please log in again.",
+      });
+    }
+
+    const { token, refreshToken, record } = await issueTokens(
+      user,
+      req,
+      current.familyId
+    );
+    await RefreshToken.updateOne(
+      { _id: current._id },
+      { $set: { replacedBy: record._id } }
+    );
+
+    return res.json({
+      success: true,
+      data: {
+        token,
+        refreshToken,
+      },
+    });
+  } catch (error) {
+    console.log("Refresh Error", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+// End this session: its refresh token (and the rest of its family) stops working
+async function logout(req, res) {
+  try {
+    const current = await RefreshToken.findOne({
+      tokenHash: hashToken(req.body.refreshToken),
+      userId: req.user._id,
+    });
+
+    if (current) {
+      await revokeFamily(current.familyId);
+    }
+
+    return res.json({
+      success: true,
+      message: "Logged out successfully",
+    });
+  } catch (error) {
+    console.log("Logout Error", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+// End every session, including access tokens that have not expired yet
+async function logoutAll(req, res) {
+  try {
+    await User.updateOne(
+      { _id: req.user._id },
+      { $set: { tokensValidAfter: new Date() } }
+    );
+    await RefreshToken.updateMany(
+      { userId: req.user._id, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+
+    return res.json({
+      success: true,
+      message: "Logged out of all sessions successfully",
+    });
+  } catch (error) {
+    console.log("Logout-All Error", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+async function verifyEmail(req, res) {
+  try {
+    const userToken = await consumeUserToken(req.body.token, "verify-email");
+
+    if (!userToken) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired verification link",
+      });
+    }
+
+    await User.updateOne(
+      { _id: userToken.userId },
+      { $set: { emailVerified: true, emailVerifiedAt: new Date() } }
+    );
+
+    return res.json({
+      success: true,
+      message: "Email verified successfully",
+    });
+  } catch (error) {
+    console.log("Verify-Email Error", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+async function resendVerification(req, res) {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: "Email is already verified",
+      });
+    }
+
+    await sendVerificationEmail(req.user);
+
+    return res.json({
+      success: true,
+      message: "Verification email sent",
+    });
+  } catch (error) {
+    console.log("Resend-Verification Error", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+async function forgotPassword(req, res) {
+  try {
+    const user = await User.findOne({ email: req.body.email });
+
+    if (user && user.isActive) {
+      // A failed send is only logged, so it does not reveal the account either
+      await sendPasswordResetEmail(user).catch((error) => {
+        console.log("Password Reset Email Error: ", error);
+      });
+    }
+
+    // Same answer either way, so the endpoint does not reveal who has an account
+    return res.json({
+      success: true,
+      message: "If an account exists for that email, a password reset link has been sent",
+    });
+  } catch (error) {
+    console.log("Forgot-Password Error", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+async function resetPassword(req, res) {
+  try {
+    const userToken = await consumeUserToken(req.body.token, "reset-password");
+
+    if (!userToken) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired password reset link",
+      });
+    }
+
+    const user = await User.findById(userToken.userId);
+
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired password reset link",
+      });
+    }
+
+    // Saving revokes every earlier token; the link also proves the address works
+    user.password = req.body.password;
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+    await RefreshToken.updateMany(
+      { userId: user._id, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+
+    return res.json({
+      success: true,
+      message: "Password reset successfully. Please log in with your new password",
+    });
+  } catch (error) {
+    console.log("Reset-Password Error", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
 module.exports = {
+  sendPasswordResetEmail,
   register,
   login,
   getProfile,
   updateProfile,
   changePassword,
+  refresh,
+  logout,
+  logoutAll,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
 };
@@ -0,0 +1,161 @@
+const Contest = require("../models/Contest.js");
+const Participation = require("../models/Participation.js");
+const Prize = require("../models/Prize.js");
+const User = require("../models/User.js");
+const rankingService = require("./rankingService.js");
+const { teamStandings } = require("./teamService.js");
+
+// Create the winner's Prize and profile entry unless they already exist; team
+// prizes are separate from the member's individual prize
+async function awardPrize(contest, { participation, placement, tier, team = null }) {
+  const user = participation.userId;
+  const teamId = team ? team._id : null;
+  const awardedAt = new Date();
+
+  try {
+    await Prize.updateOne(
+      { contestId: contest._id, userId: user._id, teamId },
+      {
+        $setOnInsert: {
+          ...(team ? { teamName: team.name } : {}),
+          prizeInfo: tier.prize,
+          tier: tier.label,
+          rank: placement,
+          score: participation.score,
+          awardedAt,
+          contestName: contest.name,
+          userEmail: user.email,
+          status: "GRANTED",
+          statusHistory: [{ from: null, to: "GRANTED", changedAt: awardedAt }],
+        },
+      },
+      { upsert: true, runValidators: true }
+    );
+  } catch (error) {
+    // A concurrent run inserted the same prize first; any other duplicate
+    // (such as a leftover index) must not be recorded on the profile
+    if (
+      error.code !== 11000 ||
+      !(await Prize.exists({ contestId: contest._id, userId: user._id, teamId }))
+    ) {
+      throw error;
+    }
+  }
+
+  await User.updateOne(
+    {
+      _id: user._id,
+      prizesWon: { $not: { $elemMatch: { contestId: contest._id, teamId } } },
+    },
+    {
+      $push: {
+        prizesWon: {
+          contestId: contest._id,
+          prizeInfo: tier.prize,
+          awardedAt,
+          contestName: contest.name,
+          teamId,
+        },
+      },
+    }
+  );
+}
+
+// Map each ranked participation to the prize tier it earned, if any
+function selectWinners(contest, participations, ranks) {
+  const winners = [];
+
+  const shared = rankingService.placements(ranks);
+
+  participations.forEach((participation, index) => {
+    // Under the share policy, participants sharing a rank share its placement
+    const placement =
+      contest.prizeTiePolicy === "share" ? shared[index] : index + 1;
+
+    const tier = contest.prizeTierFor(
+      placement,
+      participation.score,
+      participations.length
+    );
+    if (tier) {
+      winners.push({ participation, placement, tier });
+    }
+  });
+
+  return winners;
+}
+
+// Every member who took part for a team earns its team prize tier, if any
+async function selectTeamWinners(contest) {
+  if (!contest.teamMode || !contest.teamMode.enabled) return [];
+
+  const standings = await teamStandings(contest);
+  const winners = [];
+
+  standings.forEach((standing, index) => {
+    const placement =
+      contest.prizeTiePolicy === "share" ? standing.rank : index + 1;
+    const tier = contest.teamPrizeTierFor(placement, standing.score, standings.length);
+    if (!tier) return;
+
+    standing.participations.forEach((participation) => {
+      winners.push({ participation, placement, tier, team: standing.team });
+    });
+  });
+
+  return winners;
+}
+
+/**
+ * Write final ranks (and percentiles, for season and global standings) onto
+ * every completed participation of a user still on record and award prizes to the winners according to
+ * the contest's prize tiers (and to winning teams' members in team contests).
+ * Safe to run more than once: ranks are recomputed from scratch and existing
+ * prizes are left untouched.
+ */
+async function finalizeContest(contest) {
+  const rules = rankingService.rankingOf(contest);
+  const completed = await Participation.findRanked(
+    contest._id,
+    rankingService.sortFor(rules)
+  ).populate("userId", "email");
+  // Deleted users are left off, as on the leaderboard
+  const participations = completed.filter((participation) => participation.userId);
+  const ranks = rankingService.assignRanks(rules, participations);
+  const percentiles = rankingService.percentiles(ranks);
+
+  if (participations.length > 0) {
+    await Participation.bulkWrite(
+      participations.map((participation, index) => ({
+        updateOne: {
+          filter: { _id: participation._id },
+          update: {
+            $set: { rank: ranks[index], percentile: percentiles[index] },
+          },
+        },
+      }))
+    );
+  }
+
+  const winners = selectWinners(contest, participations, ranks);
+  const teamWinners = await selectTeamWinners(contest);
+  for (const winner of [...winners, ...teamWinners]) {
+    await awardPrize(contest, winner);
+  }
+
+  contest.finalizedAt = new Date();
+  await Contest.updateOne(
+    { _id: contest._id },
+    { $set: { finalizedAt: contest.finalizedAt } }
+  );
+
+  return {
+    rankedParticipants: participations.length,
+    winners: winners.length,
+    teamWinners: teamWinners.length,
+  };
+}
+
+module.exports = {
+  finalizeContest,
+};
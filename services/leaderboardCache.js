@@ -0,0 +1,237 @@
+const Contest = require("../models/Contest.js");
+const Participation = require("../models/Participation.js");
+const User = require("../models/User.js");
+const rankingService = require("./rankingService.js");
+
+// Precomputed leaderboards. Each contest's board is the full list of
+// completed participations, ordered and ranked by rankingService. It is built
+// once from the database and then kept up to date as attempts are scored.
+// Boards live in a pluggable store; the default keeps them in memory.
+//
+// Updates to one contest's board are applied one at a time, so reads never
+// see a half-applied change. That guarantee is per process: a store shared
+// between processes should be rebuilt rather than updated incrementally.
+
+const DEFAULT_MAX_BOARDS = 100;
+
+const ENTRY_FIELDS =
+  "userId score pointsEarned pointsDeducted latePenalty correctAnswers wrongAnswers partialAnswers skippedAnswers submittedAt timeSpent";
+
+/**
+ * In-memory store holding the most recently used boards. Any object with the
+ * same get/set/delete methods (returning values or promises) can replace it
+ * through useStore, e.g. one backed by Redis.
+ */
+function createMemoryStore({ maxBoards = DEFAULT_MAX_BOARDS } = {}) {
+  const boards = new Map();
+
+  return {
+    get(contestId) {
+      const board = boards.get(contestId);
+      if (!board) return null;
+      // Re-insert so eviction drops the least recently used board
+      boards.delete(contestId);
+      boards.set(contestId, board);
+      return board;
+    },
+    set(contestId, board) {
+      boards.delete(contestId);
+      boards.set(contestId, board);
+      if (boards.size > maxBoards) {
+        boards.delete(boards.keys().next().value);
+      }
+    },
+    delete(contestId) {
+      boards.delete(contestId);
+    },
+  };
+}
+
+let store = createMemoryStore();
+
+// contestId -> promise of the last queued task for that board
+const queues = new Map();
+
+function useStore(nextStore) {
+  store = nextStore;
+}
+
+// Run board tasks for a contest one after another
+function serialize(contestId, task) {
+  const previous = queues.get(contestId) || Promise.resolve();
+  const result = previous.then(task);
+  const tail = result.catch(() => {});
+  queues.set(contestId, tail);
+  tail.then(() => {
+    if (queues.get(contestId) === tail) queues.delete(contestId);
+  });
+  return result;
+}
+
+function toEntry(participation, user) {
+  return {
+    _id: participation._id.toString(),
+    userId: { _id: user._id.toString(), name: user.name },
+    score: participation.score,
+    pointsEarned: participation.pointsEarned,
+    pointsDeducted: participation.pointsDeducted,
+    latePenalty: participation.latePenalty,
+    correctAnswers: participation.correctAnswers,
+    wrongAnswers: participation.wrongAnswers,
+    partialAnswers: participation.partialAnswers,
+    skippedAnswers: participation.skippedAnswers,
+    submittedAt: participation.submittedAt,
+    timeSpent: participation.timeSpent,
+  };
+}
+
+// Set each entry's rank under the contest's ranking rules
+function rankEntries(entries, rules) {
+  const ranks = rankingService.assignRanks(rules, entries);
+  entries.forEach((entry, index) => {
+    entry.rank = ranks[index];
+  });
+  return entries;
+}
+
+async function buildBoard(contestId) {
+  const contest = await Contest.findById(contestId).select("ranking");
+  const rules = rankingService.rankingOf(contest);
+
+  const participations = await Participation.findRanked(
+    contestId,
+    rankingService.sortFor(rules)
+  )
+    .populate("userId", "name")
+    .select(ENTRY_FIELDS)
+    .lean();
+
+  const entries = participations
+    // Participations of deleted users have nothing to show
+    .filter((participation) => participation.userId)
+    .map((participation) => toEntry(participation, participation.userId));
+
+  return {
+    entries: rankEntries(entries, rules),
+    ranking: rules,
+    builtAt: new Date(),
+  };
+}
+
+// Rebuild a contest's board from the database
+function rebuild(contestId) {
+  const id = contestId.toString();
+  return serialize(id, async () => {
+    const board = await buildBoard(id);
+    await store.set(id, board);
+    return board;
+  });
+}
+
+// The contest's board, building it if it is not cached
+function board(contestId) {
+  const id = contestId.toString();
+  return serialize(id, async () => {
+    const cached = await store.get(id);
+    if (cached) return cached;
+
+    const built = await buildBoard(id);
+    await store.set(id, built);
+    return built;
+  });
+}
+
+function invalidate(contestId) {
+  const id = contestId.toString();
+  return serialize(id, () => store.delete(id));
+}
+
+/**
+ * leaderboardEvents listener: move a newly scored participation into place.
+ * Without the participation (or a cached board) the board is dropped and
+ * rebuilt on the next read.
+ */
+function updateLeaderboardCache(contestId, participation) {
+  if (!participation) return invalidate(contestId);
+
+  return serialize(contestId, async () => {
+    const cached = await store.get(contestId);
+    if (!cached) return;
+
+    const participationId = participation._id.toString();
+    const entries = cached.entries.filter((entry) => entry._id !== participationId);
+
+    if (participation.isCompleted) {
+      const user = await User.findById(participation.userId).select("name");
+      if (user) {
+        const entry = toEntry(participation, user);
+        const compare = rankingService.compareFor(cached.ranking);
+        // Binary search for the first entry that ranks below this one
+        let low = 0;
+        let high = entries.length;
+        while (low < high) {
+          const middle = Math.floor((low + high) / 2);
+          if (compare(entries[middle], entry) <= 0) {
+            low = middle + 1;
+          } else {
+            high = middle;
+          }
+        }
+        entries.splice(low, 0, entry);
+      }
+    }
+
+    // Entries are shared with earlier readers, so ranks go on fresh copies
+    const ranked = rankEntries(entries.map((entry) => ({ ...entry })), cached.ranking);
+    await store.set(contestId, { ...cached, entries: ranked });
+  });
+}
+
+// One page of the board; page and limit below 1 are raised to 1
+async function getPage(contestId, { page = 1, limit = 100 } = {}) {
+  const { entries } = await board(contestId);
+  const current = Math.max(page, 1);
+  const pageSize = Math.max(limit, 1);
+  const offset = (current - 1) * pageSize;
+
+  return {
+    entries: entries.slice(offset, offset + pageSize),
+    total: entries.length,
+    page: current,
+    limit: pageSize,
+  };
+}
+
+// A user's rank, or null if they have no scored attempt
+async function rankOf(contestId, userId) {
+  const { entries } = await board(contestId);
+  const entry = entries.find((candidate) => candidate.userId._id === userId.toString());
+  return entry ? entry.rank : null;
+}
+
+// The user's entry with up to `radius` entries either side of it
+async function around(contestId, userId, radius = 5) {
+  const { entries } = await board(contestId);
+  const index = entries.findIndex((entry) => entry.userId._id === userId.toString());
+  if (index === -1) {
+    return { rank: null, entries: [], total: entries.length };
+  }
+
+  return {
+    rank: entries[index].rank,
+    entries: entries.slice(Math.max(0, index - radius), index + radius + 1),
+    total: entries.length,
+  };
+}
+
+module.exports = {
+  createMemoryStore,
+  useStore,
+  rebuild,
+  board,
+  invalidate,
+  updateLeaderboardCache,
+  getPage,
+  rankOf,
+  around,
+};
@@ -0,0 +1,41 @@
+const Participation = require("../models/Participation.js");
+
+// Announces that a contest's leaderboard may have changed (an attempt was
+// scored, a participant was renamed, the ranking rules changed), so live
+// views of it (streams, caches) can refresh.
+
+const listeners = [];
+
+/**
+ * Register a listener. It receives the contest id as a string and, when
+ * known, the participation that changed. Listeners may be async; they are
+ * not awaited.
+ */
+function onChange(listener) {
+  listeners.push(listener);
+}
+
+function changed(contestId, participation = null) {
+  for (const listener of listeners) {
+    Promise.resolve()
+      .then(() => listener(contestId.toString(), participation))
+      .catch((error) => {
+        console.log("Leaderboard Change Listener Error: ", error);
+      });
+  }
+}
+
+// Announce a change to every board the user appears on (e.g. after a rename)
+async function userChanged(userId) {
+  const contestIds = await Participation.distinct("contestId", {
+    userId,
+    isCompleted: true,
+  });
+  contestIds.forEach((contestId) => changed(contestId));
+}
+
+module.exports = {
+  onChange,
+  changed,
+  userChanged,
+};
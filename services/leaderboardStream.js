@@ -0,0 +1,268 @@
+const Contest = require("../models/Contest.js");
+const leaderboardCache = require("./leaderboardCache.js");
+
+// Live leaderboards over Server-Sent Events. Changes are coalesced per
+// contest: at most one broadcast per interval, however many submissions
+// land or viewers are connected. The interval doubles while a contest stays
+// busy and drops back once it quiets down.
+
+const DEFAULT_INTERVAL_MS = 2000;
+const MAX_INTERVAL_MS = 30000;
+const DEFAULT_MAX_CLIENTS = 1000;
+const HEARTBEAT_MS = 25000;
+const TOP_ENTRIES = 100;
+
+// Changes within one interval above which a contest counts as busy
+const BUSY_CHANGES = 10;
+
+// contestId -> { contest, clients, entries, ranks, interval, timer, changes, lastBroadcast }
+const channels = new Map();
+let clientCount = 0;
+let heartbeat = null;
+
+const baseInterval = () =>
+  parseInt(process.env.LEADERBOARD_STREAM_INTERVAL_MS) || DEFAULT_INTERVAL_MS;
+
+const maxClients = () =>
+  parseInt(process.env.LEADERBOARD_STREAM_MAX_CLIENTS) || DEFAULT_MAX_CLIENTS;
+
+function send(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Current top entries plus every ranked participant's rank
+async function loadStandings(contestId) {
+  const { entries } = await leaderboardCache.board(contestId);
+  const ranks = new Map(entries.map((entry) => [entry.userId._id, entry.rank]));
+
+  const top = entries.slice(0, TOP_ENTRIES).map((entry) => ({
+    userId: entry.userId._id,
+    name: entry.userId.name,
+    rank: entry.rank,
+    score: entry.score,
+    correctAnswers: entry.correctAnswers,
+    submittedAt: entry.submittedAt,
+    timeSpent: entry.timeSpent,
+  }));
+
+  return { entries: top, ranks };
+}
+
+// Entries that are new or moved since the last snapshot, and who dropped out
+function diffEntries(previous, current) {
+  const before = new Map(previous.map((entry) => [entry.userId, entry]));
+  const after = new Set(current.map((entry) => entry.userId));
+
+  const changes = current
+    .filter((entry) => {
+      const old = before.get(entry.userId);
+      return !old || old.rank !== entry.rank || old.score !== entry.score;
+    })
+    .map((entry) => ({
+      ...entry,
+      previousRank: before.has(entry.userId) ? before.get(entry.userId).rank : null,
+    }));
+
+  const removed = previous
+    .filter((entry) => !after.has(entry.userId))
+    .map((entry) => entry.userId);
+
+  return { changes, removed };
+}
+
+async function broadcast(channel) {
+  channel.timer = null;
+
+  // Back off while submissions keep coming faster than we publish them
+  channel.interval =
+    channel.changes > BUSY_CHANGES
+      ? Math.min(channel.interval * 2, MAX_INTERVAL_MS)
+      : Math.max(baseInterval(), Math.floor(channel.interval / 2));
+  channel.changes = 0;
+  channel.lastBroadcast = Date.now();
+
+  try {
+    const previousRanks = channel.ranks;
+    const { entries, ranks } = await loadStandings(channel.contest._id);
+    const { changes, removed } = diffEntries(channel.entries, entries);
+    channel.entries = entries;
+    channel.ranks = ranks;
+
+    if (changes.length > 0 || removed.length > 0) {
+      channel.clients.forEach((client) => {
+        send(client.res, "update", { changes, removed, totalRanked: ranks.size });
+      });
+    }
+
+    // Viewers who took part also hear about their own rank, in or out of the top entries
+    channel.clients.forEach((client) => {
+      if (!client.userId) return;
+      const rank = ranks.get(client.userId) || null;
+      const previousRank = previousRanks.get(client.userId) || null;
+      if (rank !== previousRank) {
+        send(client.res, "rank", { rank, previousRank });
+      }
+    });
+  } catch (error) {
+    console.log("Leaderboard Broadcast Error: ", error);
+  }
+}
+
+function scheduleBroadcast(channel) {
+  channel.changes += 1;
+  if (channel.timer) return;
+
+  const wait = Math.max(0, channel.lastBroadcast + channel.interval - Date.now());
+  channel.timer = setTimeout(() => broadcast(channel), wait);
+}
+
+// leaderboardEvents listener: refresh open streams for the contest
+function streamLeaderboardChange(contestId) {
+  const channel = channels.get(contestId);
+  if (channel) scheduleBroadcast(channel);
+}
+
+function startHeartbeat() {
+  if (heartbeat) return;
+  // Comment lines keep proxies from closing idle streams
+  heartbeat = setInterval(() => {
+    channels.forEach((channel) => {
+      channel.clients.forEach((client) => client.res.write(": ping\n\n"));
+    });
+  }, HEARTBEAT_MS);
+}
+
+function removeClient(channel, client) {
+  if (!channel.clients.delete(client)) return;
+  clientCount -= 1;
+
+  if (channel.clients.size === 0) {
+    clearTimeout(channel.timer);
+    channels.delete(channel.contest._id.toString());
+  }
+  if (clientCount === 0) {
+    clearInterval(heartbeat);
+    heartbeat = null;
+  }
+}
+
+// Lifecycle hook: send the final standings and close the contest's streams
+async function closeLeaderboardStreams(contest) {
+  const channel = channels.get(contest._id.toString());
+  if (!channel) return;
+
+  clearTimeout(channel.timer);
+  await broadcast(channel);
+
+  [...channel.clients].forEach((client) => {
+    send(client.res, "ended", { contestId: contest._id });
+    client.res.end();
+    removeClient(channel, client);
+  });
+}
+
+async function leaderboardStream(req, res) {
+  try {
+    const contest = await Contest.findById(req.params.id);
+
+    if (!contest) {
+      return res.status(400).json({
+        success: false,
+        message: "Contest not found",
+      });
+    }
+
+    // Check access for VIP contests
+    if (contest.type === "VIP") {
+      if (!req.user || (req.user.role !== "vip" && req.user.role !== "admin")) {
+        return res.status(400).json({
+          success: false,
+          message:
+            "Access denied. VIP contest leaderboards are only available to VIP users",
+        });
+      }
+    }
+
+    if (clientCount >= maxClients()) {
+      return res.status(503).json({
+        success: false,
+        message: "Too many live leaderboard viewers, please poll the leaderboard instead",
+      });
+    }
+
+    const contestId = contest._id.toString();
+    let channel = channels.get(contestId);
+    if (!channel) {
+      channel = {
+        contest,
+        clients: new Set(),
+        entries: [],
+        ranks: new Map(),
+        interval: baseInterval(),
+        timer: null,
+        changes: 0,
+        lastBroadcast: 0,
+      };
+      channels.set(contestId, channel);
+    }
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+
+    // The first viewer loads the standings; later ones reuse them unless a change is pending
+    if (channel.lastBroadcast === 0 || channel.timer) {
+      clearTimeout(channel.timer);
+      await broadcast(channel);
+    }
+
+    // The last viewer may have left (dropping the channel) while this one loaded
+    if (!channels.has(contestId)) channels.set(contestId, channel);
+    channel = channels.get(contestId);
+
+    const client = { res, userId: req.user ? req.user._id.toString() : null };
+    channel.clients.add(client);
+    clientCount += 1;
+    startHeartbeat();
+    res.on("close", () => removeClient(channel, client));
+
+    // Went away while the standings were loading
+    if (res.destroyed) {
+      return removeClient(channel, client);
+    }
+
+    send(res, "snapshot", {
+      contest: {
+        id: contest._id,
+        name: contest.name,
+        status: contest.status,
+        endTime: contest.endTime,
+      },
+      leaderboard: channel.entries,
+      totalRanked: channel.ranks.size,
+      userRank: client.userId ? channel.ranks.get(client.userId) || null : null,
+    });
+
+    if (contest.status === "ENDED") {
+      send(res, "ended", { contestId: contest._id });
+      res.end();
+      removeClient(channel, client);
+    }
+  } catch (error) {
+    console.log("Leaderboard Stream Error: ", error);
+    if (res.headersSent) return res.end();
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+module.exports = {
+  streamLeaderboardChange,
+  closeLeaderboardStreams,
+  leaderboardStream,
+};
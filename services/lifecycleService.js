@@ -0,0 +1,187 @@
+const Contest = require("../models/Contest.js");
+
+// Contest statuses in lifecycle order; contests only ever move forward automatically
+const STATUS_ORDER = ["UPCOMING", "ONGOING", "ENDED"];
+
+const DEFAULT_INTERVAL_MS = 10000;
+
+// Handlers subscribed to each transition, run in registration order
+const hooks = {
+  ONGOING: [],
+  ENDED: [],
+};
+
+// Extra work run at the end of every sweep (e.g. closing expired attempts)
+const sweepTasks = [];
+
+let timer = null;
+let sweeping = false;
+
+/**
+ * Subscribe to a lifecycle transition. The handler receives the contest
+ * document after its status has changed. Hooks are retried after a failure
+ * or a restart, so they must be safe to run more than once.
+ */
+function onTransition(status, handler) {
+  if (!hooks[status]) {
+    throw new Error(`Unknown lifecycle transition: ${status}`);
+  }
+  hooks[status].push(handler);
+}
+
+// Register a task to run on every scheduler sweep; it receives the sweep time
+function onSweep(task) {
+  sweepTasks.push(task);
+}
+
+async function runHooks(contest, status) {
+  for (const handler of hooks[status]) {
+    try {
+      await handler(contest);
+    } catch (error) {
+      // Leave the transition pending so the next sweep retries it
+      console.log(`Lifecycle ${status} Hook Error: `, error);
+      return false;
+    }
+  }
+
+  await Contest.updateOne(
+    { _id: contest._id },
+    { $pull: { pendingHooks: status } }
+  );
+  return true;
+}
+
+// Atomically move a contest from one status to the next and fire its hooks
+async function transition(contestId, from, to) {
+  const contest = await Contest.findOneAndUpdate(
+    { _id: contestId, status: from },
+    { $set: { status: to }, $addToSet: { pendingHooks: to } },
+    { new: true }
+  );
+
+  // Another process (or an admin) changed the status first
+  if (!contest) return null;
+
+  console.log(`Contest ${contest._id} moved from ${from} to ${to}`);
+  await runHooks(contest, to);
+  return contest;
+}
+
+// Step a contest forward until it reaches the target status, firing every hook on the way
+async function advance(contest, target) {
+  let current = contest;
+  let index = STATUS_ORDER.indexOf(current.status);
+  const targetIndex = STATUS_ORDER.indexOf(target);
+
+  while (index < targetIndex) {
+    const next = await transition(
+      current._id,
+      STATUS_ORDER[index],
+      STATUS_ORDER[index + 1]
+    );
+    if (!next) break;
+    current = next;
+    index += 1;
+  }
+
+  return current;
+}
+
+/**
+ * Bring every active contest in line with its start/end times. Also catches up
+ * on transitions missed while the server was down and retries failed hooks.
+ */
+async function sweep(now = new Date()) {
+  if (sweeping) return;
+  sweeping = true;
+
+  try {
+    const pending = await Contest.find({
+      "pendingHooks.0": { $exists: true },
+    });
+
+    for (const contest of pending) {
+      // Run in lifecycle order so ONGOING hooks always precede ENDED ones
+      const statuses = STATUS_ORDER.filter((status) =>
+        contest.pendingHooks.includes(status)
+      );
+      for (const status of statuses) {
+        const completed = await runHooks(contest, status);
+        if (!completed) break;
+      }
+    }
+
+    const due = await Contest.find({
+      isActive: true,
+      $or: [
+        { status: "UPCOMING", startTime: { $lte: now } },
+        { status: "ONGOING", endTime: { $lt: now } },
+      ],
+    });
+
+    for (const contest of due) {
+      await advance(contest, contest.expectedStatus(now));
+    }
+
+    for (const task of sweepTasks) {
+      try {
+        await task(now);
+      } catch (error) {
+        console.log("Lifecycle Sweep Task Error: ", error);
+      }
+    }
+  } catch (error) {
+    console.log("Lifecycle Sweep Error: ", error);
+  } finally {
+    sweeping = false;
+  }
+}
+
+/**
+ * Set a contest's status by hand. Moving forward goes through the same
+ * transitions (and hooks) as the scheduler; moving backward just resets it.
+ */
+async function setStatus(contest, status) {
+  if (STATUS_ORDER.indexOf(status) > STATUS_ORDER.indexOf(contest.status)) {
+    const updated = await advance(contest, status);
+    return Contest.findById(updated._id);
+  }
+
+  contest.status = status;
+  await contest.save();
+  return contest;
+}
+
+function scheduleNext(intervalMs, delay = intervalMs) {
+  timer = setTimeout(async () => {
+    await sweep();
+    // stop() may have been called while the sweep was running
+    if (timer) scheduleNext(intervalMs);
+  }, delay);
+}
+
+// Start the background scheduler, catching up on anything missed first
+function start() {
+  if (timer) return;
+
+  const intervalMs =
+    parseInt(process.env.LIFECYCLE_INTERVAL_MS) || DEFAULT_INTERVAL_MS;
+
+  scheduleNext(intervalMs, 0);
+}
+
+function stop() {
+  clearTimeout(timer);
+  timer = null;
+}
+
+module.exports = {
+  STATUS_ORDER,
+  onTransition,
+  onSweep,
+  sweep,
+  setStatus,
+  start,
+  stop,
+};
@@ -0,0 +1,68 @@
+const fs = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+
+// Outgoing mail. Messages go through a pluggable transport: any object with
+// an async send({ from, to, subject, text }) method. The default writes each
+// message to a file in the outbox directory, so nothing needs an SMTP server;
+// swap in a real transport with useTransport.
+
+const DEFAULT_OUTBOX_DIR = "outbox";
+const DEFAULT_FROM = "Contest System <no-reply@localhost>";
+
+// Writes each message as an .eml file in dir
+function createFileTransport({ dir = DEFAULT_OUTBOX_DIR } = {}) {
+  return {
+    async send(message) {
+      await fs.mkdir(dir, { recursive: true });
+      const name = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}.eml`;
+      const contents = [
+        `From: ${message.from}`,
+        `To: ${message.to}`,
+        `Subject: ${message.subject}`,
+        `Date: ${new Date().toUTCString()}`,
+        "Content-Type: text/plain; charset=utf-8",
+        "",
+        message.text,
+      ].join("\r\n");
+
+      await fs.writeFile(path.join(dir, name), contents);
+      return { id: name };
+    },
+  };
+}
+
+let transport = null;
+
+function useTransport(nextTransport) {
+  transport = nextTransport;
+}
+
+async function sendMail({ to, subject, text }) {
+  if (!transport) {
+    transport = createFileTransport({
+      dir: process.env.MAIL_OUTBOX_DIR || DEFAULT_OUTBOX_DIR,
+    });
+  }
+
+  return transport.send({
+    from: process.env.MAIL_FROM || DEFAULT_FROM,
+    to,
+    subject,
+    text,
+  });
+}
+
+// Absolute link into the client app, e.g. appLink("/verify-email", { token })
+function appLink(pathname, params) {
+  const url = new URL(pathname, process.env.APP_URL || "http://localhost:3000");
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+}
+
+module.exports = {
+  createFileTransport,
+  useTransport,
+  sendMail,
+  appLink,
+};
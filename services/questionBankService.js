@@ -0,0 +1,498 @@
+const mongoose = require("mongoose");
+const Contest = require("../models/Contest.js");
+const Participation = require("../models/Participation.js");
+const Question = require("../models/Question.js");
+const { MAX_DRAW_POOL } = require("../models/contestSettings.js");
+const { seededShuffle } = require("../utils/shuffle.js");
+
+// Bank filter for one questionDraws rule, skipping questions already in the contest
+function drawFilter(draw, excludeIds) {
+  const filter = {
+    isActive: true,
+    _id: {
+      $nin: [...excludeIds].map((id) => new mongoose.Types.ObjectId(id)),
+    },
+  };
+  if (draw.tags && draw.tags.length > 0) filter.tags = { $all: draw.tags };
+  if (draw.category) filter.category = draw.category;
+  if (draw.difficulty) filter.difficulty = draw.difficulty;
+  return filter;
+}
+
+// Questions a draw copies into the contest: its count, or for per-participant
+// draws the pool that participants are dealt from
+function drawSize(contest, draw) {
+  if (contest.drawMode !== "per-participant") return draw.count;
+  return draw.poolSize || Math.max(draw.count, Math.min(draw.count * 5, MAX_DRAW_POOL));
+}
+
+/**
+ * Pull questions from the bank according to the contest's questionDraws.
+ * per-contest: draw `count` random questions for everyone.
+ * per-participant: sample a pool of poolSize questions; each participant is
+ * dealt `count` of them when they join (see questionSetFor).
+ * Previously drawn questions are replaced. Caller saves the contest.
+ */
+async function drawQuestionsInto(contest) {
+  contest.questions = contest.questions.filter(
+    (question) => question.drawIndex === null || question.drawIndex === undefined
+  );
+
+  const used = new Set(
+    contest.questions
+      .filter((question) => question.bankQuestionId)
+      .map((question) => question.bankQuestionId.toString())
+  );
+
+  for (const [drawIndex, draw] of contest.questionDraws.entries()) {
+    const filter = drawFilter(draw, used);
+    const picked = (
+      await Question.aggregate([
+        { $match: filter },
+        { $sample: { size: drawSize(contest, draw) } },
+      ])
+    ).map((doc) => Question.hydrate(doc));
+
+    if (picked.length < draw.count) {
+      console.log(
+        `Contest ${contest._id} draw ${drawIndex + 1}: only ${picked.length} of ${draw.count} questions available`
+      );
+    }
+
+    picked.forEach((question) => {
+      used.add(question._id.toString());
+      contest.questions.push({ ...question.toContestQuestion(), drawIndex });
+    });
+  }
+
+  contest.questionsDrawnAt = new Date();
+  return contest;
+}
+
+// Lifecycle hook: make the bank draws when the contest starts (once)
+async function drawContestQuestions(contest) {
+  if (contest.questionsDrawnAt || contest.questionDraws.length === 0) return;
+
+  await drawQuestionsInto(contest);
+  await contest.save();
+  await dealQuestionSets(contest);
+}
+
+/**
+ * Canonical question indices dealt to one participant. Empty (meaning every
+ * question) unless the contest draws per participant, in which case fixed
+ * questions are always included and each draw rule deals `count` questions
+ * from its pool, seeded by the participation id.
+ */
+function questionSetFor(contest, participationId) {
+  if (contest.drawMode !== "per-participant" || contest.questionDraws.length === 0) {
+    return [];
+  }
+
+  const set = [];
+  contest.questions.forEach((question, index) => {
+    if (question.drawIndex === null || question.drawIndex === undefined) {
+      set.push(index);
+    }
+  });
+
+  contest.questionDraws.forEach((draw, drawIndex) => {
+    const pool = [];
+    contest.questions.forEach((question, index) => {
+      if (question.drawIndex === drawIndex) pool.push(index);
+    });
+    set.push(
+      ...seededShuffle(pool, `${participationId}:${drawIndex}`).slice(0, draw.count)
+    );
+  });
+
+  return set.sort((a, b) => a - b);
+}
+
+// Re-deal question sets to participants who joined before the latest draw
+async function dealQuestionSets(contest) {
+  const participations = await Participation.find({
+    contestId: contest._id,
+    isCompleted: false,
+  }).select("_id");
+
+  if (participations.length === 0) return;
+
+  await Participation.bulkWrite(
+    participations.map((participation) => {
+      const questionSet = questionSetFor(contest, participation._id);
+      return {
+        updateOne: {
+          filter: { _id: participation._id },
+          update: {
+            questionSet,
+            totalQuestions:
+              questionSet.length > 0 ? questionSet.length : contest.questions.length,
+            // Drafts may point at questions that are no longer there
+            draftAnswers: [],
+          },
+        },
+      };
+    })
+  );
+}
+
+async function getBankQuestions(req, res) {
+  try {
+    const {
+      page = 1,
+      limit = 10,
+      tag,
+      difficulty,
+      category,
+      type,
+      search,
+    } = req.query;
+    const skip = (page - 1) * limit;
+
+    // Build filter object
+    const filter = { isActive: true };
+    if (tag) filter.tags = { $all: String(tag).toLowerCase().split(",") };
+    if (difficulty) filter.difficulty = difficulty;
+    if (category) filter.category = category;
+    if (type) filter.type = type;
+    if (search) {
+      const escaped = String(search).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      filter.questionText = { $regex: escaped, $options: "i" };
+    }
+
+    const questions = await Question.find(filter)
+      .populate("createdBy", "name email")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Question.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        questions,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total,
+        },
+      },
+    });
+  } catch (error) {
+    console.log("Get Bank Questions Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+async function getBankQuestionById(req, res) {
+  try {
+    const question = await Question.findById(req.params.questionId).populate(
+      "createdBy",
+      "name email"
+    );
+
+    if (!question || !question.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: "Question not found",
+      });
+    }
+
+    // Contests that use this question
+    const contests = await Contest.find({
+      "questions.bankQuestionId": question._id,
+    }).select("name status startTime");
+
+    res.json({
+      success: true,
+      data: { question, contests },
+    });
+  } catch (error) {
+    console.log("Get Bank Question By Id Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+async function createBankQuestion(req, res) {
+  try {
+    const question = await Question.create({
+      ...req.body,
+      createdBy: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Question created successfully",
+      data: { question },
+    });
+  } catch (error) {
+    console.log("Create Bank Question Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+async function updateBankQuestion(req, res) {
+  try {
+    const question = await Question.findById(req.params.questionId);
+
+    if (!question || !question.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: "Question not found",
+      });
+    }
+
+    // Contests keep the copy they were given until they refresh their bank questions
+    question.set({
+      options: [],
+      numericAnswer: { value: null, tolerance: 0 },
+      acceptedAnswers: [],
+      ...req.body,
+    });
+    await question.save();
+
+    res.json({
+      success: true,
+      message: "Question updated successfully",
+      data: { question },
+    });
+  } catch (error) {
+    console.log("Update Bank Question Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+async function deleteBankQuestion(req, res) {
+  try {
+    const question = await Question.findById(req.params.questionId);
+
+    if (!question || !question.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: "Question not found",
+      });
+    }
+
+    // Soft delete so contests that copied it can still be traced back
+    question.isActive = false;
+    await question.save();
+
+    res.json({
+      success: true,
+      message: "Question deleted successfully",
+    });
+  } catch (error) {
+    console.log("Delete Bank Question Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+async function attachQuestions(req, res) {
+  try {
+    const contest = await Contest.findById(req.params.id);
+
+    if (!contest) {
+      return res.status(400).json({
+        success: false,
+        message: "Contest not found",
+      });
+    }
+
+    // Check if contest has started
+    const now = new Date();
+    if (now >= contest.startTime) {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot add questions to contest after it has started",
+      });
+    }
+
+    const { questionIds } = req.body;
+    const questions = await Question.find({
+      _id: { $in: questionIds },
+      isActive: true,
+    });
+
+    if (questions.length !== new Set(questionIds).size) {
+      return res.status(400).json({
+        success: false,
+        message: "One or more questions were not found",
+      });
+    }
+
+    const attached = new Set(
+      contest.questions
+        .filter((question) => question.bankQuestionId)
+        .map((question) => question.bankQuestionId.toString())
+    );
+    const added = questions.filter(
+      (question) => !attached.has(question._id.toString())
+    );
+
+    added.forEach((question) => {
+      contest.questions.push(question.toContestQuestion());
+    });
+    await contest.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Questions attached successfully",
+      data: {
+        attached: added.length,
+        skipped: questions.length - added.length,
+        totalQuestions: contest.questions.length,
+      },
+    });
+  } catch (error) {
+    console.log("Attach Questions Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+/**
+ * Copy the current bank content over an upcoming contest's attached and drawn
+ * questions. Questions since deleted from the bank keep their copy; changes
+ * made to a copy in the contest are overwritten.
+ */
+async function refreshQuestions(req, res) {
+  try {
+    const contest = await Contest.findById(req.params.id);
+
+    if (!contest) {
+      return res.status(400).json({
+        success: false,
+        message: "Contest not found",
+      });
+    }
+
+    // Check if contest has started
+    const now = new Date();
+    if (now >= contest.startTime) {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot refresh questions after contest has started",
+      });
+    }
+
+    const bankIds = contest.questions
+      .filter((question) => question.bankQuestionId)
+      .map((question) => question.bankQuestionId);
+    const bankQuestions = new Map(
+      (await Question.find({ _id: { $in: bankIds }, isActive: true })).map(
+        (question) => [question._id.toString(), question]
+      )
+    );
+
+    let refreshed = 0;
+    contest.questions.forEach((question) => {
+      const source =
+        question.bankQuestionId &&
+        bankQuestions.get(question.bankQuestionId.toString());
+      if (!source) return;
+
+      question.set(source.toContestQuestion());
+      refreshed++;
+    });
+    await contest.save();
+
+    res.json({
+      success: true,
+      message: "Questions refreshed successfully",
+      data: {
+        refreshed,
+        totalQuestions: contest.questions.length,
+      },
+    });
+  } catch (error) {
+    console.log("Refresh Questions Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+async function drawQuestions(req, res) {
+  try {
+    const contest = await Contest.findById(req.params.id);
+
+    if (!contest) {
+      return res.status(400).json({
+        success: false,
+        message: "Contest not found",
+      });
+    }
+
+    // Check if contest has started
+    const now = new Date();
+    if (now >= contest.startTime) {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot draw questions after contest has started",
+      });
+    }
+
+    if (contest.questionDraws.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Contest has no question draws configured",
+      });
+    }
+
+    // Draw now (replacing any earlier draw) so admins can preview; the start hook then skips it
+    await drawQuestionsInto(contest);
+    await contest.save();
+    await dealQuestionSets(contest);
+
+    res.json({
+      success: true,
+      message: "Questions drawn successfully",
+      data: {
+        drawMode: contest.drawMode,
+        drawnQuestions: contest.questions.filter(
+          (question) => question.drawIndex !== null
+        ).length,
+        totalQuestions: contest.questions.length,
+      },
+    });
+  } catch (error) {
+    console.log("Draw Questions Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+module.exports = {
+  drawContestQuestions,
+  questionSetFor,
+  getBankQuestions,
+  getBankQuestionById,
+  createBankQuestion,
+  updateBankQuestion,
+  deleteBankQuestion,
+  attachQuestions,
+  refreshQuestions,
+  drawQuestions,
+};
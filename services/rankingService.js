@@ -0,0 +1,142 @@
+const { TIE_BREAKERS } = require("../models/contestSettings.js");
+
+// How a contest orders and ranks its participants. Every place that shows or
+// stores a rank goes through here so they always agree.
+
+const DEFAULT_RANKING = {
+  method: "ordinal",
+  tieBreakers: ["submittedAt"],
+};
+
+// 1: higher is better, -1: lower is better
+const DIRECTIONS = {
+  correctAnswers: 1,
+  timeSpent: -1,
+  submittedAt: -1,
+};
+
+// The contest's ranking settings, with defaults for contests created before they existed
+function rankingOf(contest) {
+  const ranking = (contest && contest.ranking) || {};
+  return {
+    method: ranking.method || DEFAULT_RANKING.method,
+    tieBreakers: (ranking.tieBreakers || DEFAULT_RANKING.tieBreakers).filter(
+      (tieBreaker) => TIE_BREAKERS.includes(tieBreaker)
+    ),
+  };
+}
+
+const numeric = (value) =>
+  value instanceof Date || typeof value === "string"
+    ? new Date(value).getTime()
+    : value;
+
+// Positive when b is better than a on one field
+function compareField(a, b, field, direction) {
+  const left = numeric(a[field]);
+  const right = numeric(b[field]);
+  if (left === right) return 0;
+  // Missing values rank last
+  if (left === null || left === undefined) return 1;
+  if (right === null || right === undefined) return -1;
+  return direction > 0 ? right - left : left - right;
+}
+
+// Whether two participants are level on score and every tie-breaker
+function isTie(ranking, a, b) {
+  return (
+    compareField(a, b, "score", 1) === 0 &&
+    ranking.tieBreakers.every(
+      (field) => compareField(a, b, field, DIRECTIONS[field]) === 0
+    )
+  );
+}
+
+/**
+ * Comparator for leaderboard order: score, then the tie-breakers, then
+ * submission time so display order is stable even between tied participants.
+ */
+function compareFor(ranking) {
+  const fields = [...ranking.tieBreakers, "submittedAt"];
+  return (a, b) => {
+    const byScore = compareField(a, b, "score", 1);
+    if (byScore !== 0) return byScore;
+    for (const field of fields) {
+      const result = compareField(a, b, field, DIRECTIONS[field]);
+      if (result !== 0) return result;
+    }
+    return 0;
+  };
+}
+
+// Database sort matching compareFor
+function sortFor(ranking) {
+  const sort = { score: -1 };
+  [...ranking.tieBreakers, "submittedAt"].forEach((field) => {
+    if (sort[field] === undefined) sort[field] = -DIRECTIONS[field];
+  });
+  sort._id = 1;
+  return sort;
+}
+
+// Ranks for participants already in leaderboard order
+function assignRanks(ranking, sorted) {
+  const ranks = [];
+  sorted.forEach((participant, index) => {
+    if (index === 0) {
+      ranks.push(1);
+    } else if (ranking.method === "ordinal" || !isTie(ranking, sorted[index - 1], participant)) {
+      ranks.push(ranking.method === "dense" ? ranks[index - 1] + 1 : index + 1);
+    } else {
+      ranks.push(ranks[index - 1]);
+    }
+  });
+  return ranks;
+}
+
+/**
+ * Placement for each rank in leaderboard order: the number of participants
+ * ranked ahead plus one, so tied participants share a place as in
+ * competition ranking whatever the ranking method. Dense ranks are for
+ * display; prize tiers are decided by placement.
+ */
+function placements(ranks) {
+  const result = [];
+  ranks.forEach((rank, index) => {
+    result.push(index > 0 && rank === ranks[index - 1] ? result[index - 1] : index + 1);
+  });
+  return result;
+}
+
+/**
+ * Percentile for each rank in leaderboard order: the share of the other
+ * participants ranked below it, with those sharing the rank counting half.
+ * A lone participant gets 100.
+ */
+function percentiles(ranks) {
+  const total = ranks.length;
+  const counts = new Map();
+  ranks.forEach((rank) => counts.set(rank, (counts.get(rank) || 0) + 1));
+
+  // Ranks are ascending, so walking them counts down who is left below
+  let below = total;
+  const byRank = new Map();
+  counts.forEach((count, rank) => {
+    below -= count;
+    const share = total === 1 ? 1 : (below + (count - 1) / 2) / (total - 1);
+    byRank.set(rank, Math.round(share * 10000) / 100);
+  });
+
+  return ranks.map((rank) => byRank.get(rank));
+}
+
+module.exports = {
+  DEFAULT_RANKING,
+  rankingOf,
+  isTie,
+  compareFor,
+  sortFor,
+  assignRanks,
+  placements,
+  percentiles,
+};
@@ -0,0 +1,297 @@
+const Contest = require("../models/Contest.js");
+const Participation = require("../models/Participation.js");
+const User = require("../models/User.js");
+
+// Skill ratings (multiplayer Elo). Each finalized contest counts as a game
+// between every pair of its ranked participants: finishing above someone is a
+// win, sharing their rank a draw. A rating moves by the sum of its results
+// against expectation, averaged over the field.
+
+const DEFAULT_RATING = 1500;
+const K_FACTOR = 32;
+// Newcomers move faster until their rating settles
+const PROVISIONAL_K_FACTOR = 64;
+const PROVISIONAL_CONTESTS = 5;
+
+// Rating change for each player ({ rating, ratedContests, rank }) in one contest
+function ratingChanges(players) {
+  if (players.length < 2) return players.map(() => 0);
+
+  const strengths = players.map((player) => Math.pow(10, player.rating / 400));
+
+  return players.map((player, index) => {
+    let actual = 0;
+    let expected = 0;
+    players.forEach((other, otherIndex) => {
+      if (otherIndex === index) return;
+      expected += strengths[index] / (strengths[index] + strengths[otherIndex]);
+      if (player.rank < other.rank) actual += 1;
+      else if (player.rank === other.rank) actual += 0.5;
+    });
+
+    const k =
+      player.ratedContests < PROVISIONAL_CONTESTS ? PROVISIONAL_K_FACTOR : K_FACTOR;
+    return Math.round((k * (actual - expected)) / (players.length - 1));
+  });
+}
+
+// Final placements of a contest's ranked participants whose users still exist
+async function placementsOf(contest) {
+  const participations = await Participation.find({
+    contestId: contest._id,
+    isCompleted: true,
+    rank: { $ne: null },
+  })
+    .select("userId rank")
+    .sort({ rank: 1 })
+    .lean();
+
+  const userIds = await User.find({
+    _id: { $in: participations.map((participation) => participation.userId) },
+  }).distinct("_id");
+  const existing = new Set(userIds.map((id) => id.toString()));
+
+  return participations.filter((participation) =>
+    existing.has(participation.userId.toString())
+  );
+}
+
+function historyEntry(contest, player, change, total, ratedAt) {
+  return {
+    contestId: contest._id,
+    contestName: contest.name,
+    rank: player.rank,
+    participants: total,
+    previousRating: player.rating,
+    rating: player.rating + change,
+    change,
+    ratedAt,
+  };
+}
+
+/**
+ * Lifecycle hook (after finalizeContest): apply the contest's final placements
+ * to its participants' ratings. Each user is only rated once per contest, and
+ * a rerun rates anyone left over from their pre-contest rating.
+ */
+async function rateContest(contest) {
+  if (contest.ratedAt || !contest.finalizedAt || !contest.isActive) return;
+
+  const placements = await placementsOf(contest);
+  const users = await User.find({
+    _id: { $in: placements.map((placement) => placement.userId) },
+  }).select({
+    rating: 1,
+    ratedContests: 1,
+    ratingHistory: { $elemMatch: { contestId: contest._id } },
+  });
+  const byId = new Map(users.map((user) => [user._id.toString(), user]));
+
+  const players = placements.map((placement) => {
+    const user = byId.get(placement.userId.toString());
+    const previous = user.ratingHistory && user.ratingHistory[0];
+    return {
+      userId: user._id,
+      rank: placement.rank,
+      alreadyRated: Boolean(previous),
+      rating: previous ? previous.previousRating : user.rating,
+      ratedContests: previous ? user.ratedContests - 1 : user.ratedContests,
+    };
+  });
+
+  const changes = ratingChanges(players);
+  const ratedAt = new Date();
+
+  const updates = [];
+  if (players.length >= 2) {
+    players.forEach((player, index) => {
+      if (player.alreadyRated) return;
+      updates.push({
+        updateOne: {
+          filter: { _id: player.userId, "ratingHistory.contestId": { $ne: contest._id } },
+          update: {
+            $inc: { rating: changes[index], ratedContests: 1 },
+            $push: {
+              ratingHistory: historyEntry(contest, player, changes[index], players.length, ratedAt),
+            },
+          },
+        },
+      });
+    });
+  }
+  if (updates.length > 0) {
+    await User.bulkWrite(updates);
+  }
+
+  contest.ratedAt = ratedAt;
+  await Contest.updateOne({ _id: contest._id }, { $set: { ratedAt } });
+}
+
+/**
+ * Rebuild every rating from scratch by replaying all finalized contests in
+ * the order they ended.
+ */
+async function replayRatings() {
+  const contests = await Contest.find({
+    finalizedAt: { $ne: null },
+    isActive: true,
+  })
+    .select("name endTime")
+    .sort({ endTime: 1, _id: 1 });
+
+  // userId -> { rating, ratedContests, ratingHistory }
+  const states = new Map();
+  const ratedAt = new Date();
+
+  for (const contest of contests) {
+    const placements = await placementsOf(contest);
+    if (placements.length < 2) continue;
+
+    const players = placements.map((placement) => {
+      const id = placement.userId.toString();
+      if (!states.has(id)) {
+        states.set(id, { rating: DEFAULT_RATING, ratedContests: 0, ratingHistory: [] });
+      }
+      const state = states.get(id);
+      return {
+        userId: id,
+        rank: placement.rank,
+        rating: state.rating,
+        ratedContests: state.ratedContests,
+      };
+    });
+
+    const changes = ratingChanges(players);
+    players.forEach((player, index) => {
+      const state = states.get(player.userId);
+      state.ratingHistory.push(
+        historyEntry(contest, player, changes[index], players.length, contest.endTime)
+      );
+      state.rating += changes[index];
+      state.ratedContests += 1;
+    });
+  }
+
+  await User.updateMany(
+    {},
+    { $set: { rating: DEFAULT_RATING, ratedContests: 0, ratingHistory: [] } }
+  );
+
+  const updates = [...states].map(([userId, state]) => ({
+    updateOne: { filter: { _id: userId }, update: { $set: state } },
+  }));
+  for (let start = 0; start < updates.length; start += 1000) {
+    await User.bulkWrite(updates.slice(start, start + 1000));
+  }
+
+  await Contest.updateMany(
+    { _id: { $in: contests.map((contest) => contest._id) } },
+    { $set: { ratedAt } }
+  );
+
+  return {
+    contestsReplayed: contests.length,
+    usersRated: states.size,
+  };
+}
+
+async function ratingLeaderboard(req, res) {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+    const pageSize = Math.min(parseInt(limit) || 50, 100);
+    const current = parseInt(page) || 1;
+
+    // Only users with at least one rated contest are listed
+    const filter = { isActive: true, ratedContests: { $gt: 0 } };
+
+    const users = await User.find(filter)
+      .select("name rating ratedContests")
+      .sort({ rating: -1, _id: 1 })
+      .skip((current - 1) * pageSize)
+      .limit(pageSize);
+
+    const total = await User.countDocuments(filter);
+
+    // Equal ratings share a rank, including across page boundaries
+    const rankFor = (rating) =>
+      User.countDocuments({ ...filter, rating: { $gt: rating } }).then(
+        (above) => above + 1
+      );
+
+    const leaderboard = [];
+    for (const [index, user] of users.entries()) {
+      const previous = leaderboard[index - 1];
+      let rank;
+      if (previous && previous.rating === user.rating) {
+        rank = previous.rank;
+      } else if (index === 0) {
+        rank = await rankFor(user.rating);
+      } else {
+        rank = (current - 1) * pageSize + index + 1;
+      }
+
+      leaderboard.push({
+        rank,
+        userId: { _id: user._id, name: user.name },
+        rating: user.rating,
+        ratedContests: user.ratedContests,
+      });
+    }
+
+    // Find user's position if authenticated
+    let userRating = null;
+    if (req.user && req.user.ratedContests > 0) {
+      userRating = {
+        rating: req.user.rating,
+        ratedContests: req.user.ratedContests,
+        rank: await rankFor(req.user.rating),
+      };
+    }
+
+    res.json({
+      success: true,
+      data: {
+        leaderboard,
+        userRating,
+        pagination: {
+          current,
+          pages: Math.ceil(total / pageSize),
+          total,
+        },
+      },
+    });
+  } catch (error) {
+    console.log("Rating Leaderboard Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+async function recomputeRatings(req, res) {
+  try {
+    const result = await replayRatings();
+
+    res.json({
+      success: true,
+      message: "Ratings recomputed successfully",
+      data: result,
+    });
+  } catch (error) {
+    console.log("Recompute Ratings Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+module.exports = {
+  DEFAULT_RATING,
+  ratingChanges,
+  rateContest,
+  replayRatings,
+  ratingLeaderboard,
+  recomputeRatings,
+};
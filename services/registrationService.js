@@ -0,0 +1,367 @@
+const Contest = require("../models/Contest.js");
+const Participation = require("../models/Participation.js");
+const Registration = require("../models/Registration.js");
+
+// Contest seats. Registering takes a seat while any are left and joins the
+// waitlist otherwise; a seat given up goes to the longest-waiting user.
+// Joining a contest needs a seat, and takes one on the spot if the user has
+// not registered beforehand.
+
+// Take a seat if the contest has one free
+async function claimSeat(contestId) {
+  const result = await Contest.updateOne(
+    {
+      _id: contestId,
+      $expr: { $lt: ["$registeredCount", "$maxParticipants"] },
+    },
+    { $inc: { registeredCount: 1 } }
+  );
+  return result.modifiedCount === 1;
+}
+
+async function releaseSeat(contestId) {
+  await Contest.updateOne(
+    { _id: contestId, registeredCount: { $gt: 0 } },
+    { $inc: { registeredCount: -1 } }
+  );
+}
+
+/**
+ * Startup task: make every open contest count the seats its users already
+ * hold, including contests from before seats were counted (which default to
+ * 0), so none can be registered past capacity. A seat is held by each user
+ * with a registration or a participation. Counts are only ever raised.
+ */
+async function backfillSeatCounts() {
+  const contests = await Contest.find({ status: { $ne: "ENDED" } }).select("_id");
+
+  for (const contest of contests) {
+    const registered = await Registration.distinct("userId", {
+      contestId: contest._id,
+      status: "REGISTERED",
+    });
+    const joined = await Participation.distinct("userId", { contestId: contest._id });
+    const seats = new Set([...registered, ...joined].map(String)).size;
+
+    await Contest.updateOne(
+      { _id: contest._id },
+      { $max: { registeredCount: seats } }
+    );
+  }
+}
+
+// Give free seats to waitlisted users, longest-waiting first
+async function promoteFromWaitlist(contestId) {
+  const promoted = [];
+
+  while (await claimSeat(contestId)) {
+    const now = new Date();
+    const registration = await Registration.findOneAndUpdate(
+      { contestId, status: "WAITLISTED" },
+      { $set: { status: "REGISTERED", registeredAt: now, promotedAt: now } },
+      { sort: { waitlistedAt: 1, _id: 1 }, new: true }
+    );
+
+    if (!registration) {
+      await releaseSeat(contestId);
+      break;
+    }
+    promoted.push(registration);
+  }
+
+  return promoted;
+}
+
+/**
+ * Register a user for a contest: a seat if one is free, the waitlist if not.
+ * An existing seat or waitlist place is returned unchanged. The caller checks
+ * the registration window.
+ */
+async function register(contest, userId, now = new Date()) {
+  const existing = await Registration.findOne({ contestId: contest._id, userId });
+  if (existing && existing.status !== "WITHDRAWN") return existing;
+
+  const seated = await claimSeat(contest._id);
+  const update = seated
+    ? { status: "REGISTERED", registeredAt: now, waitlistedAt: null }
+    : { status: "WAITLISTED", registeredAt: null, waitlistedAt: now };
+
+  try {
+    return await Registration.findOneAndUpdate(
+      { contestId: contest._id, userId, status: { $nin: ["REGISTERED", "WAITLISTED"] } },
+      { $set: { ...update, promotedAt: null, withdrawnAt: null } },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // A concurrent request registered the user first
+    if (error.code !== 11000) throw error;
+    if (seated) await releaseSeat(contest._id);
+    return Registration.findOne({ contestId: contest._id, userId });
+  }
+}
+
+// 1-based place in the waitlist, or null when not waitlisted
+async function waitlistPosition(registration) {
+  if (registration.status !== "WAITLISTED") return null;
+
+  const ahead = await Registration.countDocuments({
+    contestId: registration.contestId,
+    status: "WAITLISTED",
+    $or: [
+      { waitlistedAt: { $lt: registration.waitlistedAt } },
+      { waitlistedAt: registration.waitlistedAt, _id: { $lt: registration._id } },
+    ],
+  });
+  return ahead + 1;
+}
+
+async function registrationSummary(registration) {
+  return {
+    id: registration._id,
+    contestId: registration.contestId,
+    status: registration.status,
+    registeredAt: registration.registeredAt,
+    waitlistedAt: registration.waitlistedAt,
+    promotedAt: registration.promotedAt,
+    waitlistPosition: await waitlistPosition(registration),
+  };
+}
+
+async function registerForContest(req, res) {
+  try {
+    const contest = await Contest.findById(req.params.id);
+
+    if (!contest) {
+      return res.status(400).json({
+        success: false,
+        message: "Contest not found",
+      });
+    }
+
+    if (!contest.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: "Contest is not active",
+      });
+    }
+
+    // Check access based on user role and contest type
+    if (
+      contest.type === "VIP" &&
+      req.user.role !== "vip" &&
+      req.user.role !== "admin"
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Access denied. VIP contests are only available to VIP users",
+      });
+    }
+
+    const existing = await Registration.findOne({
+      contestId: contest._id,
+      userId: req.user._id,
+      status: { $ne: "WITHDRAWN" },
+    });
+
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message:
+          existing.status === "REGISTERED"
+            ? "You are already registered for this contest"
+            : "You are already on the waitlist for this contest",
+      });
+    }
+
+    const windowError = contest.registrationError();
+    if (windowError) {
+      return res.status(400).json({
+        success: false,
+        message: windowError,
+      });
+    }
+
+    const registration = await register(contest, req.user._id);
+    const waitlisted = registration.status === "WAITLISTED";
+
+    res.status(waitlisted ? 202 : 201).json({
+      success: true,
+      message: waitlisted
+        ? "Contest is full, you have been added to the waitlist"
+        : "Successfully registered for the contest",
+      data: {
+        registration: await registrationSummary(registration),
+      },
+    });
+  } catch (error) {
+    console.log("Register For Contest Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+async function registrationStatus(req, res) {
+  try {
+    const registration = await Registration.findOne({
+      contestId: req.params.id,
+      userId: req.user._id,
+    });
+
+    if (!registration) {
+      return res.status(400).json({
+        success: false,
+        message: "You have not registered for this contest",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        registration: await registrationSummary(registration),
+      },
+    });
+  } catch (error) {
+    console.log("Registration Status Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+/**
+ * Give up a seat or waitlist place before joining. Once the user has joined
+ * (and seen the questions) there is no withdrawing, otherwise they could
+ * rejoin with a fresh timer. A freed seat goes to the waitlist.
+ */
+async function withdraw(req, res) {
+  try {
+    const contest = await Contest.findById(req.params.id);
+
+    if (!contest) {
+      return res.status(400).json({
+        success: false,
+        message: "Contest not found",
+      });
+    }
+
+    if (contest.status === "ENDED") {
+      return res.status(400).json({
+        success: false,
+        message: "Contest has already ended",
+      });
+    }
+
+    const participation = await Participation.findOne({
+      userId: req.user._id,
+      contestId: contest._id,
+    });
+
+    if (participation) {
+      return res.status(400).json({
+        success: false,
+        message: participation.isCompleted
+          ? "You cannot withdraw after submitting your answers"
+          : "You cannot withdraw after joining the contest",
+      });
+    }
+
+    // Withdraw atomically, so only one of concurrent withdrawals frees the seat
+    const previous = await Registration.findOneAndUpdate(
+      {
+        contestId: contest._id,
+        userId: req.user._id,
+        status: { $ne: "WITHDRAWN" },
+      },
+      { $set: { status: "WITHDRAWN", withdrawnAt: new Date() } }
+    );
+
+    if (!previous) {
+      return res.status(400).json({
+        success: false,
+        message: "You are not registered for this contest",
+      });
+    }
+
+    let promoted = [];
+    if (previous.status === "REGISTERED") {
+      await releaseSeat(contest._id);
+      promoted = await promoteFromWaitlist(contest._id);
+    }
+
+    res.json({
+      success: true,
+      message: "Successfully withdrawn from the contest",
+      data: {
+        seatsReleased: promoted.length,
+      },
+    });
+  } catch (error) {
+    console.log("Withdraw Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+async function getRegistrations(req, res) {
+  try {
+    const { page = 1, limit = 50, status } = req.query;
+    const skip = (page - 1) * limit;
+
+    // Build filter object; the waitlist is listed in promotion order
+    const filter = { contestId: req.params.id };
+    if (status) filter.status = status;
+
+    const registrations = await Registration.find(filter)
+      .populate("userId", "name email")
+      .sort(status === "WAITLISTED" ? { waitlistedAt: 1, _id: 1 } : { createdAt: 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Registration.countDocuments(filter);
+    const contest = await Contest.findById(req.params.id).select(
+      "maxParticipants registeredCount currentParticipants"
+    );
+
+    res.json({
+      success: true,
+      data: {
+        seats: contest
+          ? {
+              max: contest.maxParticipants,
+              taken: contest.registeredCount,
+              joined: contest.currentParticipants,
+            }
+          : null,
+        registrations,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total,
+        },
+      },
+    });
+  } catch (error) {
+    console.log("Get Registrations Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+module.exports = {
+  backfillSeatCounts,
+  promoteFromWaitlist,
+  register,
+  waitlistPosition,
+  registrationSummary,
+  registerForContest,
+  registrationStatus,
+  withdraw,
+  getRegistrations,
+};
@@ -0,0 +1,289 @@
+const Role = require("../models/Role.js");
+const User = require("../models/User.js");
+
+// Staff roles. A role is a named set of permissions (see Role.PERMISSIONS);
+// users hold any number of them on top of their own role. Nobody can hand out
+// a permission they do not hold themselves.
+
+// Permissions in the list that the current user does not hold
+function ungrantable(req, permissions) {
+  return permissions.filter((permission) => !req.permissions.includes(permission));
+}
+
+function ungrantableMessage(missing) {
+  return `You cannot grant permissions you do not have: ${missing.join(", ")}`;
+}
+
+async function getPermissions(req, res) {
+  try {
+    res.json({
+      success: true,
+      data: {
+        permissions: Role.PERMISSIONS,
+      },
+    });
+  } catch (error) {
+    console.log("Get Permissions Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+async function getRoles(req, res) {
+  try {
+    const roles = await Role.find({ isActive: true })
+      .populate("createdBy", "name email")
+      .sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: { roles },
+    });
+  } catch (error) {
+    console.log("Get Roles Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+async function getRoleById(req, res) {
+  try {
+    const role = await Role.findOne({ _id: req.params.id, isActive: true })
+      .populate("createdBy", "name email");
+
+    if (!role) {
+      return res.status(400).json({
+        success: false,
+        message: "Role not found",
+      });
+    }
+
+    const members = await User.find({ staffRoles: role._id })
+      .select("name email role isActive")
+      .sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: { role, members },
+    });
+  } catch (error) {
+    console.log("Get Role By Id Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+async function createRole(req, res) {
+  try {
+    const { name, description, permissions } = req.body;
+
+    const missing = ungrantable(req, permissions);
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: ungrantableMessage(missing),
+      });
+    }
+
+    if (await Role.exists({ name, isActive: true })) {
+      return res.status(400).json({
+        success: false,
+        message: "A role with this name already exists",
+      });
+    }
+
+    const role = await Role.create({
+      name,
+      description,
+      permissions,
+      createdBy: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Role created successfully",
+      data: { role },
+    });
+  } catch (error) {
+    console.log("Create Role Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+async function updateRole(req, res) {
+  try {
+    const role = await Role.findOne({ _id: req.params.id, isActive: true });
+
+    if (!role) {
+      return res.status(400).json({
+        success: false,
+        message: "Role not found",
+      });
+    }
+
+    const { name, description, permissions } = req.body;
+
+    // Both the permissions added and those taken away count as granting
+    if (permissions) {
+      const changed = [
+        ...permissions.filter((permission) => !role.permissions.includes(permission)),
+        ...role.permissions.filter((permission) => !permissions.includes(permission)),
+      ];
+      const missing = ungrantable(req, changed);
+      if (missing.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: ungrantableMessage(missing),
+        });
+      }
+      role.permissions = permissions;
+    }
+
+    if (name && name !== role.name) {
+      if (await Role.exists({ name, isActive: true, _id: { $ne: role._id } })) {
+        return res.status(400).json({
+          success: false,
+          message: "A role with this name already exists",
+        });
+      }
+      role.name = name;
+    }
+    if (description !== undefined) role.description = description;
+
+    await role.save();
+
+    res.json({
+      success: true,
+      message: "Role updated successfully",
+      data: { role },
+    });
+  } catch (error) {
+    console.log("Update Role Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+async function deleteRole(req, res) {
+  try {
+    const role = await Role.findOne({ _id: req.params.id, isActive: true });
+
+    if (!role) {
+      return res.status(400).json({
+        success: false,
+        message: "Role not found",
+      });
+    }
+
+    const missing = ungrantable(req, role.permissions);
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: ungrantableMessage(missing),
+      });
+    }
+
+    // Soft delete, and take it away from everyone holding it
+    role.isActive = false;
+    await role.save();
+    const result = await User.updateMany(
+      { staffRoles: role._id },
+      { $pull: { staffRoles: role._id } }
+    );
+
+    res.json({
+      success: true,
+      message: "Role deleted successfully",
+      data: {
+        usersAffected: result.modifiedCount,
+      },
+    });
+  } catch (error) {
+    console.log("Delete Role Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+// Replace the user's staff roles with the given set
+async function assignRoles(req, res) {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const roleIds = [...new Set(req.body.roleIds)];
+    const roles = await Role.find({ _id: { $in: roleIds }, isActive: true });
+
+    if (roles.length !== roleIds.length) {
+      return res.status(400).json({
+        success: false,
+        message: "One or more roles were not found",
+      });
+    }
+
+    // Roles being added or removed must be within the caller's own permissions
+    const current = user.staffRoles.map((id) => id.toString());
+    const removed = await Role.find({
+      _id: { $in: current.filter((id) => !roleIds.includes(id)) },
+      isActive: true,
+    });
+    const added = roles.filter((role) => !current.includes(role._id.toString()));
+    const missing = ungrantable(req, [
+      ...new Set([...added, ...removed].flatMap((role) => role.permissions)),
+    ]);
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: ungrantableMessage(missing),
+      });
+    }
+
+    user.staffRoles = roles.map((role) => role._id);
+    await user.save();
+
+    res.json({
+      success: true,
+      message: "User roles updated successfully",
+      data: {
+        id: user._id,
+        roles: roles.map((role) => ({ id: role._id, name: role.name })),
+        permissions: await Role.permissionsFor(user),
+      },
+    });
+  } catch (error) {
+    console.log("Assign Roles Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+module.exports = {
+  getPermissions,
+  getRoles,
+  getRoleById,
+  createRole,
+  updateRole,
+  deleteRole,
+  assignRoles,
+};
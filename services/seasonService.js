@@ -0,0 +1,364 @@
+const Contest = require("../models/Contest.js");
+const Participation = require("../models/Participation.js");
+const Season = require("../models/Season.js");
+
+// Standings across contests: everyone's finalized results in a season (or in
+// every contest, for the all-time ranking) added up per user. Only finalized
+// contests count, since their ranks and percentiles are settled.
+
+// Standings order; users level on every field share a rank
+const STANDINGS_SORTS = {
+  points: { totalPoints: -1, averagePercentile: -1, contestsPlayed: -1 },
+  percentile: { averagePercentile: -1, totalPoints: -1, contestsPlayed: -1 },
+};
+
+// Reason the contest cannot be put in the season, or null if it can
+async function seasonError(seasonId) {
+  if (!seasonId) return null;
+  const season = await Season.findOne({ _id: seasonId, isActive: true });
+  return season ? null : "Season not found";
+}
+
+// Contest type whose results the viewer may see; null for every type
+function visibleType(user, type) {
+  if (!user || user.role === "normal") {
+    return "NORMAL"; // Normal users and guests only see NORMAL contests
+  }
+  return type || null;
+}
+
+async function computeStandings(contestFilter, { sort, minContests }) {
+  const contests = await Contest.find({
+    ...contestFilter,
+    isActive: true,
+    finalizedAt: { $ne: null },
+  }).select("_id");
+
+  if (contests.length === 0) {
+    return { standings: [], contestsCounted: 0 };
+  }
+
+  const order = STANDINGS_SORTS[sort];
+  const standings = await Participation.aggregate([
+    {
+      $match: {
+        contestId: { $in: contests.map((contest) => contest._id) },
+        isCompleted: true,
+        rank: { $ne: null },
+      },
+    },
+    {
+      $group: {
+        _id: "$userId",
+        totalPoints: { $sum: "$score" },
+        averagePercentile: { $avg: "$percentile" },
+        contestsPlayed: { $sum: 1 },
+        bestRank: { $min: "$rank" },
+      },
+    },
+    { $match: { contestsPlayed: { $gte: minContests } } },
+    // Unwinding drops users that have since been deleted
+    { $lookup: { from: "users", localField: "_id", foreignField: "_id", as: "user" } },
+    { $unwind: "$user" },
+    {
+      $project: {
+        _id: 0,
+        userId: { _id: "$_id", name: "$user.name" },
+        totalPoints: { $round: ["$totalPoints", 2] },
+        averagePercentile: { $round: ["$averagePercentile", 2] },
+        contestsPlayed: 1,
+        bestRank: 1,
+      },
+    },
+    { $sort: { ...order, "userId._id": 1 } },
+  ]);
+
+  const fields = Object.keys(order);
+  standings.forEach((standing, index) => {
+    const previous = standings[index - 1];
+    standing.rank =
+      previous && fields.every((field) => previous[field] === standing[field])
+        ? previous.rank
+        : index + 1;
+  });
+
+  return { standings, contestsCounted: contests.length };
+}
+
+// Paginated standings response shared by the global and season rankings
+async function sendStandings(req, res, contestFilter, extra = {}) {
+  const { page = 1, limit = 50, sort = "points", minContests = 1, type } = req.query;
+
+  if (!STANDINGS_SORTS[sort]) {
+    return res.status(400).json({
+      success: false,
+      message: "Sort must be points or percentile",
+    });
+  }
+
+  if (type && !["NORMAL", "VIP"].includes(type)) {
+    return res.status(400).json({
+      success: false,
+      message: "Contest type must be either NORMAL or VIP",
+    });
+  }
+
+  const contestType = visibleType(req.user, type);
+  const filter = { ...contestFilter };
+  if (contestType) filter.type = contestType;
+
+  const pageSize = Math.min(parseInt(limit) || 50, 100);
+  const current = parseInt(page) || 1;
+  const { standings, contestsCounted } = await computeStandings(filter, {
+    sort,
+    minContests: Math.max(parseInt(minContests) || 1, 1),
+  });
+
+  // Find user's standing if authenticated
+  let userStanding = null;
+  if (req.user) {
+    const userId = req.user._id.toString();
+    userStanding =
+      standings.find((standing) => standing.userId._id.toString() === userId) || null;
+  }
+
+  const offset = (current - 1) * pageSize;
+  res.json({
+    success: true,
+    data: {
+      ...extra,
+      type: contestType,
+      sort,
+      contestsCounted,
+      standings: standings.slice(offset, offset + pageSize),
+      userStanding,
+      pagination: {
+        current,
+        pages: Math.ceil(standings.length / pageSize),
+        total: standings.length,
+      },
+    },
+  });
+}
+
+async function globalRankings(req, res) {
+  try {
+    return await sendStandings(req, res, {});
+  } catch (error) {
+    console.log("Global Rankings Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+async function seasonRankings(req, res) {
+  try {
+    const season = await Season.findById(req.params.id);
+
+    if (!season || !season.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: "Season not found",
+      });
+    }
+
+    return await sendStandings(
+      req,
+      res,
+      { seasonId: season._id },
+      {
+        season: {
+          id: season._id,
+          name: season.name,
+          description: season.description,
+          startDate: season.startDate,
+          endDate: season.endDate,
+          status: season.statusAt(),
+        },
+      }
+    );
+  } catch (error) {
+    console.log("Season Rankings Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+async function getSeasons(req, res) {
+  try {
+    const { page = 1, limit = 10, status } = req.query;
+    const skip = (page - 1) * limit;
+
+    // Build filter object
+    const now = new Date();
+    const filter = { isActive: true };
+    if (status === "UPCOMING") filter.startDate = { $gt: now };
+    if (status === "ONGOING") {
+      filter.startDate = { $lte: now };
+      filter.endDate = { $gte: now };
+    }
+    if (status === "ENDED") filter.endDate = { $lt: now };
+
+    const seasons = await Season.find(filter)
+      .sort({ startDate: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Season.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        seasons: seasons.map((season) => ({
+          ...season.toObject(),
+          status: season.statusAt(now),
+        })),
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total,
+        },
+      },
+    });
+  } catch (error) {
+    console.log("Get Seasons Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+async function getSeasonById(req, res) {
+  try {
+    const season = await Season.findById(req.params.id).populate(
+      "createdBy",
+      "name email"
+    );
+
+    if (!season || !season.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: "Season not found",
+      });
+    }
+
+    const contests = await Contest.find({ seasonId: season._id, isActive: true })
+      .select("name type status startTime endTime currentParticipants finalizedAt")
+      .sort({ startTime: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        season: { ...season.toObject(), status: season.statusAt() },
+        contests,
+      },
+    });
+  } catch (error) {
+    console.log("Get Season By Id Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+async function createSeason(req, res) {
+  try {
+    const season = await Season.create({
+      ...req.body,
+      createdBy: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Season created successfully",
+      data: { season },
+    });
+  } catch (error) {
+    console.log("Create Season Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+async function updateSeason(req, res) {
+  try {
+    const season = await Season.findById(req.params.id);
+
+    if (!season || !season.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: "Season not found",
+      });
+    }
+
+    season.set(req.body);
+    if (season.endDate <= season.startDate) {
+      return res.status(400).json({
+        success: false,
+        message: "End date must be after start date",
+      });
+    }
+
+    await season.save();
+
+    res.json({
+      success: true,
+      message: "Season updated successfully",
+      data: { season },
+    });
+  } catch (error) {
+    console.log("Update Season Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+async function deleteSeason(req, res) {
+  try {
+    const season = await Season.findById(req.params.id);
+
+    if (!season || !season.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: "Season not found",
+      });
+    }
+
+    // Soft delete; its contests leave the season but keep their results
+    season.isActive = false;
+    await season.save();
+    await Contest.updateMany({ seasonId: season._id }, { $set: { seasonId: null } });
+
+    res.json({
+      success: true,
+      message: "Season deleted successfully",
+    });
+  } catch (error) {
+    console.log("Delete Season Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+module.exports = {
+  seasonError,
+  globalRankings,
+  seasonRankings,
+  getSeasons,
+  getSeasonById,
+  createSeason,
+  updateSeason,
+  deleteSeason,
+};
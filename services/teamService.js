@@ -0,0 +1,712 @@
+const Contest = require("../models/Contest.js");
+const Participation = require("../models/Participation.js");
+const Team = require("../models/Team.js");
+const User = require("../models/User.js");
+
+// Teams, their entries in team contests, and team standings. Team members
+// take part in a team contest individually; a team's score is worked out from
+// its members' completed participations under the contest's teamMode settings.
+
+// Team score from its members' scores, highest first
+function aggregateScores(scores, { aggregation, bestN }) {
+  if (scores.length === 0) return 0;
+
+  let total;
+  if (aggregation === "average") {
+    total = scores.reduce((sum, score) => sum + score, 0) / scores.length;
+  } else if (aggregation === "best-n") {
+    total = scores.slice(0, bestN).reduce((sum, score) => sum + score, 0);
+  } else {
+    total = scores.reduce((sum, score) => sum + score, 0);
+  }
+  return Math.round(total * 100) / 100;
+}
+
+/**
+ * Ranked team standings for a team contest. Teams on the same score share a
+ * rank; the team whose counted members finished first is listed first. Each
+ * standing carries its members' completed participations (with user name and
+ * email), best first.
+ */
+async function teamStandings(contest) {
+  const participations = await Participation.find({
+    contestId: contest._id,
+    isCompleted: true,
+    teamId: { $ne: null },
+  })
+    .populate("userId", "name email")
+    .select("userId teamId score submittedAt")
+    .sort({ score: -1, submittedAt: 1 });
+
+  const byTeam = new Map();
+  participations
+    // Skip users that have since been deleted
+    .filter((participation) => participation.userId)
+    .forEach((participation) => {
+      const id = participation.teamId.toString();
+      if (!byTeam.has(id)) byTeam.set(id, []);
+      byTeam.get(id).push(participation);
+    });
+
+  const teams = await Team.find({ _id: { $in: [...byTeam.keys()] } }).select("name");
+  const settings = contest.teamMode || {};
+
+  const standings = teams.map((team) => {
+    const members = byTeam.get(team._id.toString());
+    const counted =
+      settings.aggregation === "best-n" ? members.slice(0, settings.bestN) : members;
+    return {
+      team,
+      score: aggregateScores(
+        members.map((participation) => participation.score),
+        settings
+      ),
+      participations: members,
+      lastSubmittedAt: new Date(
+        Math.max(...counted.map((participation) => participation.submittedAt))
+      ),
+    };
+  });
+
+  standings.sort(
+    (a, b) => b.score - a.score || a.lastSubmittedAt - b.lastSubmittedAt
+  );
+  standings.forEach((standing, index) => {
+    const previous = standings[index - 1];
+    standing.rank =
+      previous && previous.score === standing.score ? previous.rank : index + 1;
+  });
+
+  return standings;
+}
+
+/**
+ * The team a user competes for when joining a team contest: the given team,
+ * or their only team entered in the contest. Returns { team } or { error }.
+ */
+async function teamForEntry(contest, userId, teamId) {
+  const entered = contest.teamEntries.map((entry) => entry.teamId);
+  const teams = await Team.find({
+    _id: { $in: entered },
+    "members.userId": userId,
+    isActive: true,
+  });
+
+  if (teamId) {
+    const team = teams.find((candidate) => candidate._id.toString() === teamId);
+    return team
+      ? { team }
+      : { error: "You are not a member of that team, or it is not entered in this contest" };
+  }
+  if (teams.length === 0) {
+    return { error: "You are not a member of any team entered in this contest" };
+  }
+  if (teams.length > 1) {
+    return { error: "You are in several teams entered in this contest, please choose one" };
+  }
+  return { team: teams[0] };
+}
+
+// Active team, or an error response
+async function findTeam(req, res) {
+  const team = await Team.findById(req.params.id);
+
+  if (!team || !team.isActive) {
+    res.status(400).json({
+      success: false,
+      message: "Team not found",
+    });
+    return null;
+  }
+  return team;
+}
+
+function captainOnly(team, req, res) {
+  if (team.isCaptain(req.user._id)) return true;
+
+  res.status(400).json({
+    success: false,
+    message: "Only the team captain can do this",
+  });
+  return false;
+}
+
+async function createTeam(req, res) {
+  try {
+    const team = await Team.create({
+      ...req.body,
+      captainId: req.user._id,
+      members: [{ userId: req.user._id }],
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Team created successfully",
+      data: { team },
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: "A team with this name already exists",
+      });
+    }
+    console.log("Create Team Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+async function myTeams(req, res) {
+  try {
+    const teams = await Team.find({
+      "members.userId": req.user._id,
+      isActive: true,
+    })
+      .select("-invites")
+      .populate("captainId", "name")
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: { teams },
+    });
+  } catch (error) {
+    console.log("My Teams Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+async function myInvites(req, res) {
+  try {
+    const teams = await Team.find({
+      "invites.userId": req.user._id,
+      isActive: true,
+    })
+      .select("name description captainId members")
+      .populate("captainId", "name");
+
+    res.json({
+      success: true,
+      data: {
+        invites: teams.map((team) => ({
+          teamId: team._id,
+          name: team.name,
+          description: team.description,
+          captain: team.captainId,
+          members: team.members.length,
+        })),
+      },
+    });
+  } catch (error) {
+    console.log("My Invites Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+async function getTeam(req, res) {
+  try {
+    const team = await findTeam(req, res);
+    if (!team) return;
+
+    const isCaptain = team.isCaptain(req.user._id);
+    await team.populate([
+      { path: "captainId", select: "name" },
+      { path: "members.userId", select: "name" },
+      { path: "invites.userId", select: "name email" },
+    ]);
+
+    const data = team.toObject();
+    // Only the captain sees who has been invited
+    if (!isCaptain) delete data.invites;
+
+    res.json({
+      success: true,
+      data: { team: data },
+    });
+  } catch (error) {
+    console.log("Get Team Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+async function updateTeam(req, res) {
+  try {
+    const team = await findTeam(req, res);
+    if (!team || !captainOnly(team, req, res)) return;
+
+    team.set(req.body);
+    await team.save();
+
+    res.json({
+      success: true,
+      message: "Team updated successfully",
+      data: { team },
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: "A team with this name already exists",
+      });
+    }
+    console.log("Update Team Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+async function deleteTeam(req, res) {
+  try {
+    const team = await findTeam(req, res);
+    if (!team || !captainOnly(team, req, res)) return;
+
+    // Soft delete keeps past team results; the team leaves contests that have not started
+    team.isActive = false;
+    team.invites = [];
+    await team.save();
+    await Contest.updateMany(
+      { status: "UPCOMING", "teamEntries.teamId": team._id },
+      { $pull: { teamEntries: { teamId: team._id } } }
+    );
+
+    res.json({
+      success: true,
+      message: "Team disbanded successfully",
+    });
+  } catch (error) {
+    console.log("Delete Team Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+async function inviteMember(req, res) {
+  try {
+    const team = await findTeam(req, res);
+    if (!team || !captainOnly(team, req, res)) return;
+
+    const user = await User.findOne({ email: req.body.email, isActive: true });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    if (team.isMember(user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: "User is already a member of this team",
+      });
+    }
+
+    if (team.invites.some((invite) => invite.userId.equals(user._id))) {
+      return res.status(400).json({
+        success: false,
+        message: "User has already been invited",
+      });
+    }
+
+    if (team.members.length >= Team.MAX_MEMBERS) {
+      return res.status(400).json({
+        success: false,
+        message: `Teams cannot have more than ${Team.MAX_MEMBERS} members`,
+      });
+    }
+
+    team.invites.push({ userId: user._id, invitedBy: req.user._id });
+    await team.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Invitation sent successfully",
+      data: {
+        invite: {
+          userId: user._id,
+          name: user.name,
+        },
+      },
+    });
+  } catch (error) {
+    console.log("Invite Member Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+async function acceptInvite(req, res) {
+  try {
+    // Only succeeds while the invite stands and the team has room
+    const result = await Team.updateOne(
+      {
+        _id: req.params.id,
+        isActive: true,
+        "invites.userId": req.user._id,
+        "members.userId": { $ne: req.user._id },
+        [`members.${Team.MAX_MEMBERS - 1}`]: { $exists: false },
+      },
+      {
+        $pull: { invites: { userId: req.user._id } },
+        $push: { members: { userId: req.user._id, joinedAt: new Date() } },
+      }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "No open invitation to this team, or the team is full",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "You have joined the team",
+    });
+  } catch (error) {
+    console.log("Accept Invite Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+async function declineInvite(req, res) {
+  try {
+    const result = await Team.updateOne(
+      { _id: req.params.id, "invites.userId": req.user._id },
+      { $pull: { invites: { userId: req.user._id } } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "No open invitation to this team",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Invitation declined",
+    });
+  } catch (error) {
+    console.log("Decline Invite Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+// The captain removes a member, or a member leaves
+async function removeMember(req, res) {
+  try {
+    const team = await findTeam(req, res);
+    if (!team) return;
+
+    const userId = req.params.userId;
+    const leaving = userId === req.user._id.toString();
+
+    if (!leaving && !captainOnly(team, req, res)) return;
+
+    if (team.isCaptain(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: "The captain must hand over captaincy or disband the team instead",
+      });
+    }
+
+    if (!team.isMember(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: "User is not a member of this team",
+      });
+    }
+
+    // Members keep any team contest attempts they have already made
+    team.members = team.members.filter(
+      (member) => member.userId.toString() !== userId
+    );
+    await team.save();
+
+    res.json({
+      success: true,
+      message: leaving ? "You have left the team" : "Member removed successfully",
+    });
+  } catch (error) {
+    console.log("Remove Member Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+async function transferCaptain(req, res) {
+  try {
+    const team = await findTeam(req, res);
+    if (!team || !captainOnly(team, req, res)) return;
+
+    if (!team.isMember(req.body.userId)) {
+      return res.status(400).json({
+        success: false,
+        message: "The new captain must be a member of the team",
+      });
+    }
+
+    team.captainId = req.body.userId;
+    await team.save();
+
+    res.json({
+      success: true,
+      message: "Captaincy transferred successfully",
+      data: { team },
+    });
+  } catch (error) {
+    console.log("Transfer Captain Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+async function registerTeam(req, res) {
+  try {
+    const contest = await Contest.findById(req.params.id);
+
+    if (!contest || !contest.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: "Contest not found",
+      });
+    }
+
+    if (!contest.teamMode || !contest.teamMode.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "This contest is not a team contest",
+      });
+    }
+
+    if (contest.status === "ENDED") {
+      return res.status(400).json({
+        success: false,
+        message: "Contest has already ended",
+      });
+    }
+
+    const team = await Team.findOne({ _id: req.body.teamId, isActive: true });
+
+    if (!team) {
+      return res.status(400).json({
+        success: false,
+        message: "Team not found",
+      });
+    }
+
+    if (!captainOnly(team, req, res)) return;
+
+    const result = await Contest.updateOne(
+      { _id: contest._id, "teamEntries.teamId": { $ne: team._id } },
+      {
+        $push: {
+          teamEntries: { teamId: team._id, registeredBy: req.user._id },
+        },
+      }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Team is already entered in this contest",
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Team entered in the contest successfully",
+      data: {
+        contestId: contest._id,
+        teamId: team._id,
+      },
+    });
+  } catch (error) {
+    console.log("Register Team Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+async function withdrawTeam(req, res) {
+  try {
+    const contest = await Contest.findById(req.params.id);
+
+    if (!contest) {
+      return res.status(400).json({
+        success: false,
+        message: "Contest not found",
+      });
+    }
+
+    const team = await Team.findById(req.params.teamId);
+
+    if (!team || !contest.teamEntries.some((entry) => entry.teamId.equals(team._id))) {
+      return res.status(400).json({
+        success: false,
+        message: "Team is not entered in this contest",
+      });
+    }
+
+    if (!captainOnly(team, req, res)) return;
+
+    const started = await Participation.exists({
+      contestId: contest._id,
+      teamId: team._id,
+    });
+
+    if (started) {
+      return res.status(400).json({
+        success: false,
+        message: "Team members have already taken part in this contest",
+      });
+    }
+
+    await Contest.updateOne(
+      { _id: contest._id },
+      { $pull: { teamEntries: { teamId: team._id } } }
+    );
+
+    res.json({
+      success: true,
+      message: "Team withdrawn from the contest successfully",
+    });
+  } catch (error) {
+    console.log("Withdraw Team Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+async function teamLeaderboard(req, res) {
+  try {
+    const contest = await Contest.findById(req.params.id);
+
+    if (!contest) {
+      return res.status(400).json({
+        success: false,
+        message: "Contest not found",
+      });
+    }
+
+    if (!contest.teamMode || !contest.teamMode.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "This contest is not a team contest",
+      });
+    }
+
+    // Check access for VIP contests
+    if (contest.type === "VIP") {
+      if (!req.user || (req.user.role !== "vip" && req.user.role !== "admin")) {
+        return res.status(400).json({
+          success: false,
+          message:
+            "Access denied. VIP contest leaderboards are only available to VIP users",
+        });
+      }
+    }
+
+    const standings = await teamStandings(contest);
+    const leaderboard = standings.map((standing) => ({
+      rank: standing.rank,
+      team: { _id: standing.team._id, name: standing.team.name },
+      score: standing.score,
+      members: standing.participations.map((participation) => ({
+        userId: {
+          _id: participation.userId._id,
+          name: participation.userId.name,
+        },
+        score: participation.score,
+      })),
+    }));
+
+    // Find the user's team's position if authenticated
+    let userTeamRank = null;
+    if (req.user) {
+      const userId = req.user._id.toString();
+      const standing = standings.find((candidate) =>
+        candidate.participations.some(
+          (participation) => participation.userId._id.toString() === userId
+        )
+      );
+      if (standing) {
+        userTeamRank = { teamId: standing.team._id, rank: standing.rank };
+      }
+    }
+
+    res.json({
+      success: true,
+      data: {
+        contest: {
+          id: contest._id,
+          name: contest.name,
+          status: contest.status,
+          endTime: contest.endTime,
+          aggregation: contest.teamMode.aggregation,
+          bestN: contest.teamMode.aggregation === "best-n" ? contest.teamMode.bestN : undefined,
+        },
+        leaderboard,
+        userTeamRank,
+      },
+    });
+  } catch (error) {
+    console.log("Team Leaderboard Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+module.exports = {
+  teamStandings,
+  teamForEntry,
+  createTeam,
+  myTeams,
+  myInvites,
+  getTeam,
+  updateTeam,
+  deleteTeam,
+  inviteMember,
+  acceptInvite,
+  declineInvite,
+  removeMember,
+  transferCaptain,
+  registerTeam,
+  withdrawTeam,
+  teamLeaderboard,
+};
@@ -0,0 +1,390 @@
+const Contest = require("../models/Contest.js");
+const ContestTemplate = require("../models/ContestTemplate.js");
+const { SETTINGS_FIELDS } = require("../models/contestSettings.js");
+
+// Drop subdocument ids so the copy gets its own
+const withoutIds = (items) => (items || []).map(({ _id, ...item }) => item);
+
+/**
+ * Plain copy of the contest settings on a contest or template. Questions drawn
+ * from the bank are left out; the copy keeps the draw rules and draws its own.
+ */
+function copySettings(source) {
+  const plain = source.toObject();
+  const settings = {};
+
+  SETTINGS_FIELDS.forEach((field) => {
+    if (plain[field] !== undefined) settings[field] = plain[field];
+  });
+
+  settings.prizeTiers = withoutIds(plain.prizeTiers);
+  settings.questionDraws = withoutIds(plain.questionDraws);
+  if (plain.teamMode) {
+    settings.teamMode = {
+      ...plain.teamMode,
+      prizeTiers: withoutIds(plain.teamMode.prizeTiers),
+    };
+  }
+  settings.questions = withoutIds(
+    (plain.questions || []).filter(
+      (question) => question.drawIndex === null || question.drawIndex === undefined
+    )
+  ).map(({ drawIndex, ...question }) => ({
+    ...question,
+    options: withoutIds(question.options),
+  }));
+
+  return settings;
+}
+
+// Contest data for one contest created from a template
+function contestFromTemplate(template, overrides, createdBy) {
+  const { name, startTime, endTime, ...settings } = overrides;
+
+  return {
+    ...copySettings(template),
+    ...settings,
+    name: name || template.contestName,
+    startTime,
+    endTime:
+      endTime ||
+      new Date(startTime.getTime() + template.contestDurationMinutes * 60 * 1000),
+    createdBy,
+    templateId: template._id,
+  };
+}
+
+/**
+ * Sweep task: create the next contest for every scheduled template once its
+ * start is within createAheadHours. Each start time is claimed on the
+ * template before the contest is created, so it is only created once; a
+ * failed creation gives the claim back so the next sweep retries it.
+ */
+async function createScheduledContests(now = new Date()) {
+  const templates = await ContestTemplate.find({
+    isActive: true,
+    "schedule.enabled": true,
+  });
+
+  for (const template of templates) {
+    const previous = template.schedule.lastStartTime;
+    // Occurrences missed while the server was down are skipped, not created late
+    const after = previous && previous > now ? previous : now;
+    const startTime = template.nextStartAfter(after);
+
+    if (!startTime) continue;
+    if (startTime - now > template.schedule.createAheadHours * 60 * 60 * 1000) {
+      continue;
+    }
+
+    const claimed = await ContestTemplate.updateOne(
+      { _id: template._id, "schedule.lastStartTime": previous },
+      { $set: { "schedule.lastStartTime": startTime } }
+    );
+    if (claimed.modifiedCount === 0) continue;
+
+    try {
+      const contest = await Contest.create(
+        contestFromTemplate(template, { startTime }, template.createdBy)
+      );
+      console.log(`Template ${template._id} created contest ${contest._id}`);
+    } catch (error) {
+      // Already created (e.g. by hand)
+      if (error.code === 11000) continue;
+
+      console.log("Scheduled Contest Error: ", error);
+      await ContestTemplate.updateOne(
+        { _id: template._id, "schedule.lastStartTime": startTime },
+        { $set: { "schedule.lastStartTime": previous } }
+      );
+    }
+  }
+}
+
+async function cloneContest(req, res) {
+  try {
+    const source = await Contest.findById(req.params.id);
+
+    if (!source) {
+      return res.status(400).json({
+        success: false,
+        message: "Contest not found",
+      });
+    }
+
+    // Keep the source's length unless a new end time is given
+    const { name, startTime, endTime, ...overrides } = req.body;
+    const contest = await Contest.create({
+      ...copySettings(source),
+      ...overrides,
+      name: name || source.name,
+      startTime,
+      endTime:
+        endTime ||
+        new Date(startTime.getTime() + (source.endTime - source.startTime)),
+      createdBy: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Contest cloned successfully",
+      data: {
+        contest,
+        clonedFrom: source._id,
+      },
+    });
+  } catch (error) {
+    console.log("Clone Contest Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+async function getTemplates(req, res) {
+  try {
+    const { page = 1, limit = 10, scheduled } = req.query;
+    const skip = (page - 1) * limit;
+
+    // Build filter object
+    const filter = { isActive: true };
+    if (scheduled !== undefined) filter["schedule.enabled"] = scheduled === "true";
+
+    const templates = await ContestTemplate.find(filter)
+      .select("-questions")
+      .populate("createdBy", "name email")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await ContestTemplate.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        templates,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total,
+        },
+      },
+    });
+  } catch (error) {
+    console.log("Get Templates Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+async function getTemplateById(req, res) {
+  try {
+    const template = await ContestTemplate.findById(req.params.id).populate(
+      "createdBy",
+      "name email"
+    );
+
+    if (!template || !template.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: "Template not found",
+      });
+    }
+
+    const now = new Date();
+    const contests = await Contest.find({ templateId: template._id })
+      .select("name status startTime endTime currentParticipants")
+      .sort({ startTime: -1 })
+      .limit(10);
+
+    const previous = template.schedule.lastStartTime;
+    const nextStartTime = template.schedule.enabled
+      ? template.nextStartAfter(previous && previous > now ? previous : now)
+      : null;
+
+    res.json({
+      success: true,
+      data: {
+        template,
+        nextStartTime,
+        recentContests: contests,
+      },
+    });
+  } catch (error) {
+    console.log("Get Template By Id Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+async function createTemplate(req, res) {
+  try {
+    const template = await ContestTemplate.create({
+      ...req.body,
+      createdBy: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Template created successfully",
+      data: { template },
+    });
+  } catch (error) {
+    console.log("Create Template Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+async function saveContestAsTemplate(req, res) {
+  try {
+    const contest = await Contest.findById(req.params.id);
+
+    if (!contest) {
+      return res.status(400).json({
+        success: false,
+        message: "Contest not found",
+      });
+    }
+
+    const template = await ContestTemplate.create({
+      ...copySettings(contest),
+      name: req.body.name,
+      contestName: contest.name,
+      contestDurationMinutes: Math.round(
+        (contest.endTime - contest.startTime) / (60 * 1000)
+      ),
+      schedule: req.body.schedule,
+      createdBy: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Template created successfully",
+      data: { template },
+    });
+  } catch (error) {
+    console.log("Save Contest As Template Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+async function updateTemplate(req, res) {
+  try {
+    const template = await ContestTemplate.findById(req.params.id);
+
+    if (!template || !template.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: "Template not found",
+      });
+    }
+
+    // A new schedule still remembers which contests were already created
+    if (req.body.schedule) {
+      req.body.schedule.lastStartTime = template.schedule.lastStartTime;
+    }
+
+    // Contests already created keep their settings
+    template.set(req.body);
+    await template.save();
+
+    res.json({
+      success: true,
+      message: "Template updated successfully",
+      data: { template },
+    });
+  } catch (error) {
+    console.log("Update Template Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+async function deleteTemplate(req, res) {
+  try {
+    const template = await ContestTemplate.findById(req.params.id);
+
+    if (!template || !template.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: "Template not found",
+      });
+    }
+
+    // Soft delete; also stops the schedule
+    template.isActive = false;
+    template.schedule.enabled = false;
+    await template.save();
+
+    res.json({
+      success: true,
+      message: "Template deleted successfully",
+    });
+  } catch (error) {
+    console.log("Delete Template Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+async function instantiateTemplate(req, res) {
+  try {
+    const template = await ContestTemplate.findById(req.params.id);
+
+    if (!template || !template.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: "Template not found",
+      });
+    }
+
+    const contest = await Contest.create(
+      contestFromTemplate(template, req.body, req.user._id)
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Contest created from template successfully",
+      data: { contest },
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: "A contest from this template already starts at that time",
+      });
+    }
+    console.log("Instantiate Template Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+module.exports = {
+  createScheduledContests,
+  cloneContest,
+  getTemplates,
+  getTemplateById,
+  createTemplate,
+  saveContestAsTemplate,
+  updateTemplate,
+  deleteTemplate,
+  instantiateTemplate,
+};
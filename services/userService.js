@@ -1,6 +1,21 @@
 const Contest = require("../models/Contest.js");
 const Participation = require("../models/Participation.js");
 const Prize = require("../models/Prize.js");
+const Registration = require("../models/Registration.js");
+const {
+  canRevealAnswers,
+  layoutFor,
+  serializeQuestions,
+  toCanonicalAnswer,
+  toDisplayAnswer,
+  serializeAnswers,
+} = require("../utils/questionSerializer.js");
+const attempts = require("./attemptService.js");
+const leaderboardEvents = require("./leaderboardEvents.js");
+const leaderboardCache = require("./leaderboardCache.js");
+const { questionSetFor } = require("./questionBankService.js");
+const { teamForEntry } = require("./teamService.js");
+const registrations = require("./registrationService.js");
 
 async function allContest(req, res) {
   try {
@@ -141,18 +156,30 @@ async function contestById(req, res) {
       startTime: contest.startTime,
       endTime: contest.endTime,
       prizeInfo: contest.prizeInfo,
+      prizeWinners: contest.prizeWinners,
+      prizeTiers: contest.prizeTiers,
+      prizeTiePolicy: contest.prizeTiePolicy,
+      answerReveal: contest.answerReveal,
+      scoring: contest.scoring,
+      shuffleQuestions: contest.shuffleQuestions,
+      shuffleOptions: contest.shuffleOptions,
       status: contest.status,
       maxParticipants: contest.maxParticipants,
       currentParticipants: contest.currentParticipants,
+      registeredCount: contest.registeredCount,
+      registrationOpensAt: contest.registrationOpensAt,
+      registrationClosesAt: contest.registrationClosesAt,
       createdAt: contest.createdAt,
     };
 
     // Include questions only if:
     // 1. User has joined the contest, OR
     // 2. Contest has ended (for viewing results)
+    // Correct answers are stripped unless the reveal policy allows them
     if (participation || now > contest.endTime) {
-      contestData.questions = contest.questions;
-      contestData.totalQuestions = contest.questions.length;
+      contestData.questions = serializeQuestions(contest, participation, now);
+      contestData.totalQuestions = contestData.questions.length;
+      contestData.answersRevealed = canRevealAnswers(contest, participation, now);
     }
 
     if (participation) {
@@ -160,10 +187,11 @@ async function contestById(req, res) {
         hasJoined: true,
         joinedAt: participation.joinedAt,
         submittedAt: participation.submittedAt,
+        deadline: attempts.effectiveDeadline(contest, participation),
         isCompleted: participation.isCompleted,
         score: participation.score,
         rank: participation.rank,
-        answers: participation.answers,
+        answers: serializeAnswers(contest, participation, now),
       };
     } else {
       contestData.participation = {
@@ -256,20 +284,87 @@ async function joinContest(req, res) {
       });
     }
 
-    // Check if contest is full
-    if (contest.currentParticipants >= contest.maxParticipants) {
+    // Team contests are open to members of entered teams, competing for one of them
+    let team = null;
+    if (contest.teamMode && contest.teamMode.enabled) {
+      const entry = await teamForEntry(
+        contest,
+        req.user._id,
+        req.body && req.body.teamId
+      );
+      if (entry.error) {
+        return res.status(400).json({
+          success: false,
+          message: entry.error,
+        });
+      }
+      team = entry.team;
+
+      const { maxMembersPerTeam } = contest.teamMode;
+      if (maxMembersPerTeam) {
+        const teamParticipants = await Participation.countDocuments({
+          contestId: contest._id,
+          teamId: team._id,
+        });
+        if (teamParticipants >= maxMembersPerTeam) {
+          return res.status(400).json({
+            success: false,
+            message: "Your team already has the most members allowed in this contest",
+          });
+        }
+      }
+    }
+
+    // Joining needs a seat; users who did not register take one now if any are left
+    let registration = await Registration.findOne({
+      contestId: contest._id,
+      userId: req.user._id,
+      status: { $ne: "WITHDRAWN" },
+    });
+
+    if (!registration) {
+      const windowError = contest.registrationError(now);
+      if (windowError) {
+        return res.status(400).json({
+          success: false,
+          message: windowError,
+        });
+      }
+      registration = await registrations.register(contest, req.user._id, now);
+
+      if (registration.status === "WAITLISTED") {
+        return res.status(202).json({
+          success: true,
+          message: "Contest is full, you have been added to the waitlist",
+          data: {
+            registration: await registrations.registrationSummary(registration),
+          },
+        });
+      }
+    }
+
+    if (registration.status === "WAITLISTED") {
+      const position = await registrations.waitlistPosition(registration);
       return res.status(400).json({
         success: false,
-        message: "Contest is full",
+        message: `Contest is full. You are number ${position} on the waitlist`,
       });
     }
 
-    // Create participation
-    const participation = await Participation.create({
+    // Create participation; timed contests start the personal countdown now
+    const participation = new Participation({
       userId: req.user._id,
       contestId: contest._id,
-      totalQuestions: contest.questions.length,
+      teamId: team ? team._id : null,
+      joinedAt: now,
+      deadline: attempts.deadlineFor(contest, now),
     });
+    // Contests drawing per participant deal this participant their own questions
+    participation.questionSet = questionSetFor(contest, participation._id);
+    participation.totalQuestions = participation.questionIndices(
+      contest.questions.length
+    ).length;
+    await participation.save();
 
     // Update contest participant count
     contest.currentParticipants += 1;
@@ -283,7 +378,10 @@ async function joinContest(req, res) {
           id: participation._id,
           joinedAt: participation.joinedAt,
           contestId: participation.contestId,
+          teamId: participation.teamId,
           totalQuestions: participation.totalQuestions,
+          deadline: attempts.effectiveDeadline(contest, participation),
+          durationMinutes: contest.durationMinutes,
         },
       },
     });
@@ -296,106 +394,97 @@ async function joinContest(req, res) {
   }
 }
 
-async function submitContest(req, res) {
-  try {
-    const contest = await Contest.findById(req.params.id);
+/**
+ * Load the caller's unfinished attempt at a contest. Sends the error response
+ * and returns null when there is nothing to work on; an attempt whose time
+ * has run out is closed (scoring its drafts) on the way.
+ */
+async function findOpenAttempt(req, res, now) {
+  const contest = await Contest.findById(req.params.id);
 
-    if (!contest) {
-      return res.status(400).json({
-        success: false,
-        message: "Contest not found",
-      });
-    }
+  if (!contest) {
+    res.status(400).json({
+      success: false,
+      message: "Contest not found",
+    });
+    return null;
+  }
 
-    // Check if user has joined the contest
-    const participation = await Participation.findOne({
-      userId: req.user._id,
-      contestId: contest._id,
+  // Check if user has joined the contest
+  const participation = await Participation.findOne({
+    userId: req.user._id,
+    contestId: contest._id,
+  });
+
+  if (!participation) {
+    res.status(400).json({
+      success: false,
+      message: "You must join the contest before submitting answers",
     });
+    return null;
+  }
 
-    if (!participation) {
-      return res.status(400).json({
-        success: false,
-        message: "You must join the contest before submitting answers",
-      });
-    }
+  if (participation.isCompleted) {
+    res.status(400).json({
+      success: false,
+      message: "You have already submitted your answers",
+    });
+    return null;
+  }
 
-    if (participation.isCompleted) {
-      return res.status(400).json({
-        success: false,
-        message: "You have already submitted your answers",
-      });
-    }
+  // Check timing against the personal deadline and contest end
+  if (now > attempts.submissionCutoff(contest, participation)) {
+    // Time is up: close the attempt with whatever drafts were saved
+    attempts.closeAttempt(contest, participation, null, {
+      now,
+      autoClosed: true,
+    });
+    await participation.save();
+    leaderboardEvents.changed(contest._id, participation);
 
-    // Check contest timing
+    res.status(400).json({
+      success: false,
+      message: participation.deadline
+        ? "Time limit exceeded. Your attempt has been closed"
+        : "Contest has ended. Cannot submit answers",
+    });
+    return null;
+  }
+
+  return { contest, participation };
+}
+
+async function submitContest(req, res) {
+  try {
     const now = new Date();
-    if (now > contest.endTime) {
-      return res.status(400).json({
-        success: false,
-        message: "Contest has ended. Cannot submit answers",
-      });
-    }
+    const attempt = await findOpenAttempt(req, res, now);
+    if (!attempt) return;
+
+    const { contest, participation } = attempt;
 
-    // Validate answers
-    const { answers } = req.body;
+    // Answers arrive in the participant's shuffled layout
+    const layout = layoutFor(contest, participation);
+    const answers = req.body.answers.map((answer) =>
+      toCanonicalAnswer(layout, answer)
+    );
 
-    if (answers.length !== contest.questions.length) {
+    // Questions left out or answered blank count as skipped
+    const answerError = attempts.validateAnswers(contest, participation, answers);
+    if (answerError) {
       return res.status(400).json({
         success: false,
-        message: `You must answer all ${contest.questions.length} questions`,
+        message: answerError,
       });
     }
 
-    // Validate each answer
-    answers.forEach((answer, index) => {
-      const question = contest.questions[answer.questionIndex];
-      if (!question) {
-        return res.status(400).json({
-          success: false,
-          message: `Invalid question index: ${answer.questionIndex}`,
-        });
-      }
-
-      // Validate selected options
-      answer.selectedOptions.forEach((optionIndex) => {
-        if (optionIndex < 0 || optionIndex >= question.options.length) {
-          return res.status(400).json({
-            success: false,
-            message: `Invalid option index ${optionIndex} for question ${
-              index + 1
-            }`,
-          });
-        }
-      });
-
-      // Validate answer format based on question type
-      if (
-        question.type === "single-select" &&
-        answer.selectedOptions.length !== 1
-      ) {
-        return res.status(400).json({
-          success: false,
-          message: `Question ${index + 1} requires exactly one answer`,
-        });
-      }
-
-      if (
-        question.type === "true-false" &&
-        answer.selectedOptions.length !== 1
-      ) {
-        return res.status(400).json({
-          success: false,
-          message: `Question ${index + 1} requires exactly one answer`,
-        });
-      }
-    });
-
     // Calculate score
-    const scoreResult = participation.calculateScore(contest.questions);
-    participation.calculateTimeSpent();
+    const scoreResult = attempts.closeAttempt(contest, participation, answers, {
+      now,
+    });
 
     // Save participation
     await participation.save();
+    leaderboardEvents.changed(contest._id, participation);
 
     res.json({
       success: true,
@@ -404,9 +493,15 @@ async function submitContest(req, res) {
         score: scoreResult.score,
         correctAnswers: scoreResult.correctAnswers,
         wrongAnswers: scoreResult.wrongAnswers,
-        totalQuestions: contest.questions.length,
+        partialAnswers: scoreResult.partialAnswers,
+        skippedAnswers: scoreResult.skippedAnswers,
+        pointsEarned: scoreResult.pointsEarned,
+        pointsDeducted: scoreResult.pointsDeducted,
+        totalQuestions: participation.totalQuestions,
         submittedAt: participation.submittedAt,
         timeSpent: participation.timeSpent,
+        isLate: participation.isLate,
+        latePenalty: participation.latePenalty,
       },
     });
   } catch (error) {
@@ -440,43 +535,18 @@ async function contestLeaderboard(req, res) {
       }
     }
 
-    const leaderboard = await Participation.find({
-      contestId: contest._id,
-      isCompleted: true,
-    })
-      .populate("userId", "name")
-      .sort({ score: -1, submittedAt: 1 })
-      .select("userId score correctAnswers wrongAnswers submittedAt timeSpent")
-      .limit(100); // Limit to top 100
-
-    // Add rank to each participant
-    leaderboard.forEach((participant, index) => {
-      participant.rank = index + 1;
-    });
+    // Pages of up to 100 from the cached board
+    const { page = 1, limit = 100 } = req.query;
+    const pageSize = Math.min(parseInt(limit) || 100, 100);
+    const { entries: leaderboard, total, page: current, limit: size } = await leaderboardCache.getPage(
+      contest._id,
+      { page: parseInt(page) || 1, limit: pageSize }
+    );
 
     // Find user's position if authenticated
     let userRank = null;
     if (req.user) {
-      const userParticipation = await Participation.findOne({
-        userId: req.user._id,
-        contestId: contest._id,
-        isCompleted: true,
-      });
-
-      if (userParticipation) {
-        const userRankResult = await Participation.countDocuments({
-          contestId: contest._id,
-          isCompleted: true,
-          $or: [
-            { score: { $gt: userParticipation.score } },
-            {
-              score: userParticipation.score,
-              submittedAt: { $lt: userParticipation.submittedAt },
-            },
-          ],
-        });
-        userRank = userRankResult + 1;
-      }
+      userRank = await leaderboardCache.rankOf(contest._id, req.user._id);
     }
 
     res.json({
@@ -490,6 +560,11 @@ async function contestLeaderboard(req, res) {
         },
         leaderboard,
         userRank,
+        pagination: {
+          current,
+          pages: Math.ceil(total / size),
+          total,
+        },
       },
     });
   } catch (error) {
@@ -501,6 +576,59 @@ async function contestLeaderboard(req, res) {
   }
 }
 
+async function leaderboardAroundMe(req, res) {
+  try {
+    const contest = await Contest.findById(req.params.id);
+
+    if (!contest) {
+      return res.status(400).json({
+        success: false,
+        message: "Contest not found",
+      });
+    }
+
+    // Check access for VIP contests
+    if (contest.type === "VIP") {
+      if (req.user.role !== "vip" && req.user.role !== "admin") {
+        return res.status(400).json({
+          success: false,
+          message:
+            "Access denied. VIP contest leaderboards are only available to VIP users",
+        });
+      }
+    }
+
+    const radius = Math.min(parseInt(req.query.radius) || 5, 50);
+    const { rank, entries, total } = await leaderboardCache.around(
+      contest._id,
+      req.user._id,
+      radius
+    );
+
+    if (rank === null) {
+      return res.status(400).json({
+        success: false,
+        message: "You have no ranked attempt in this contest",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        userRank: rank,
+        totalRanked: total,
+        leaderboard: entries,
+      },
+    });
+  } catch (error) {
+    console.log("leaderboardAroundMe Error", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
 async function history(req, res) {
   try {
     const { page = 1, limit = 10 } = req.query;
@@ -509,18 +637,33 @@ async function history(req, res) {
     const participations = await Participation.find({ userId: req.user._id })
       .populate(
         "contestId",
-        "name description type startTime endTime prizeInfo status"
+        "name description type startTime endTime prizeInfo status answerReveal questions shuffleQuestions shuffleOptions"
       )
       .sort({ joinedAt: -1 })
       .skip(skip)
       .limit(parseInt(limit));
 
+    // Hide per-answer grading until each contest's reveal policy allows it
+    const now = new Date();
+    const participationData = participations.map((participation) => {
+      const data = participation.toObject();
+      delete data.draftAnswers;
+      if (participation.contestId) {
+        // Questions are only loaded to map answers into the participant's layout
+        data.answers = serializeAnswers(participation.contestId, participation, now);
+        delete data.contestId.questions;
+        delete data.contestId.shuffleQuestions;
+        delete data.contestId.shuffleOptions;
+      }
+      return data;
+    });
+
     const total = await Participation.countDocuments({ userId: req.user._id });
 
     res.json({
       success: true,
       data: {
-        participations,
+        participations: participationData,
         pagination: {
           current: parseInt(page),
           pages: Math.ceil(total / limit),
@@ -539,16 +682,19 @@ async function history(req, res) {
 
 async function prizes(req, res) {
   try {
-    const { page = 1, limit = 10 } = req.query;
+    const { page = 1, limit = 10, status } = req.query;
     const skip = (page - 1) * limit;
 
-    const prizes = await Prize.find({ userId: req.user._id })
+    const filter = { userId: req.user._id };
+    if (status) filter.status = status;
+
+    const prizes = await Prize.find(filter)
       .populate("contestId", "name")
       .sort({ awardedAt: -1 })
       .skip(skip)
       .limit(parseInt(limit));
 
-    const total = await Prize.countDocuments({ userId: req.user._id });
+    const total = await Prize.countDocuments(filter);
 
     res.json({
       success: true,
@@ -570,12 +716,213 @@ async function prizes(req, res) {
   }
 }
 
+async function claimPrize(req, res) {
+  try {
+    const prize = await Prize.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+    });
+
+    if (!prize) {
+      return res.status(400).json({
+        success: false,
+        message: "Prize not found",
+      });
+    }
+
+    if (!prize.canTransitionTo("CLAIMED")) {
+      return res.status(400).json({
+        success: false,
+        message: `Prize cannot be claimed while it is ${prize.status}`,
+      });
+    }
+
+    prize.deliveryDetails = req.body.deliveryDetails;
+    prize.claimedAt = new Date();
+    prize.transitionTo("CLAIMED", req.user._id);
+    await prize.save();
+
+    res.json({
+      success: true,
+      message: "Prize claimed successfully",
+      data: { prize },
+    });
+  } catch (error) {
+    console.log("claimPrize Error", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+async function saveAnswer(req, res) {
+  try {
+    const now = new Date();
+    const attempt = await findOpenAttempt(req, res, now);
+    if (!attempt) return;
+
+    const { contest, participation } = attempt;
+    const displayIndex = parseInt(req.params.questionIndex);
+    const answer = toCanonicalAnswer(layoutFor(contest, participation), {
+      ...req.body,
+      questionIndex: displayIndex,
+    });
+
+    const answerError = attempts.validateAnswer(contest, participation, answer);
+    if (answerError) {
+      return res.status(400).json({
+        success: false,
+        message: answerError,
+      });
+    }
+
+    attempts.saveDraftAnswer(participation, answer, now);
+    await participation.save();
+
+    res.json({
+      success: true,
+      message: "Answer saved",
+      data: {
+        questionIndex: displayIndex,
+        savedAt: now,
+        answeredQuestions: participation.draftAnswers.length,
+        totalQuestions: participation.totalQuestions,
+      },
+    });
+  } catch (error) {
+    console.log("saveAnswer Error", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+async function getDraft(req, res) {
+  try {
+    const now = new Date();
+    const attempt = await findOpenAttempt(req, res, now);
+    if (!attempt) return;
+
+    const { contest, participation } = attempt;
+    const layout = layoutFor(contest, participation);
+
+    res.json({
+      success: true,
+      data: {
+        answers: participation.draftAnswers.map((draft) => ({
+          ...toDisplayAnswer(layout, draft),
+          savedAt: draft.savedAt,
+        })),
+        answeredQuestions: participation.draftAnswers.length,
+        totalQuestions: participation.totalQuestions,
+        ...attempts.timeRemaining(contest, participation, now),
+      },
+    });
+  } catch (error) {
+    console.log("getDraft Error", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+async function finalizeAttempt(req, res) {
+  try {
+    const now = new Date();
+    const attempt = await findOpenAttempt(req, res, now);
+    if (!attempt) return;
+
+    const { contest, participation } = attempt;
+
+    // Score the saved drafts; unanswered questions earn nothing
+    const scoreResult = attempts.closeAttempt(contest, participation, null, {
+      now,
+    });
+    await participation.save();
+    leaderboardEvents.changed(contest._id, participation);
+
+    res.json({
+      success: true,
+      message: "Answers submitted successfully",
+      data: {
+        score: scoreResult.score,
+        correctAnswers: scoreResult.correctAnswers,
+        wrongAnswers: scoreResult.wrongAnswers,
+        partialAnswers: scoreResult.partialAnswers,
+        skippedAnswers: scoreResult.skippedAnswers,
+        pointsEarned: scoreResult.pointsEarned,
+        pointsDeducted: scoreResult.pointsDeducted,
+        answeredQuestions: participation.answers.length,
+        totalQuestions: participation.totalQuestions,
+        submittedAt: participation.submittedAt,
+        timeSpent: participation.timeSpent,
+        isLate: participation.isLate,
+        latePenalty: participation.latePenalty,
+      },
+    });
+  } catch (error) {
+    console.log("finalizeAttempt Error", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+async function timeRemaining(req, res) {
+  try {
+    const contest = await Contest.findById(req.params.id);
+
+    if (!contest) {
+      return res.status(400).json({
+        success: false,
+        message: "Contest not found",
+      });
+    }
+
+    const participation = await Participation.findOne({
+      userId: req.user._id,
+      contestId: contest._id,
+    });
+
+    if (!participation) {
+      return res.status(400).json({
+        success: false,
+        message: "You have not joined this contest",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...attempts.timeRemaining(contest, participation),
+        isCompleted: participation.isCompleted,
+      },
+    });
+  } catch (error) {
+    console.log("timeRemaining Error", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
 module.exports = {
   allContest,
   contestById,
   joinContest,
   submitContest,
+  saveAnswer,
+  getDraft,
+  finalizeAttempt,
+  timeRemaining,
   contestLeaderboard,
+  leaderboardAroundMe,
   history,
   prizes,
+  claimPrize,
 };
@@ -0,0 +1,397 @@
+const crypto = require("crypto");
+const User = require("../models/User.js");
+const VipCode = require("../models/VipCode.js");
+const VipEvent = require("../models/VipEvent.js");
+
+// VIP membership. Users only become VIP through an admin grant or a
+// redemption code; memberships may run until an end date, after which the
+// sweep drops the user back to normal. Every change is recorded as a VipEvent.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Make the user VIP until expiresAt (null: permanently) and record it
+async function setMembership(user, { expiresAt, source, actorId = null, codeId = null, note }) {
+  const wasVip = user.role === "vip";
+
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { role: "vip", vipExpiresAt: expiresAt } }
+  );
+
+  return VipEvent.create({
+    userId: user._id,
+    action: wasVip ? "CHANGED" : "GRANTED",
+    source,
+    actorId,
+    codeId,
+    previousExpiresAt: wasVip ? user.vipExpiresAt : null,
+    expiresAt,
+    note,
+  });
+}
+
+// Sweep task: memberships past their end date go back to normal
+async function expireVipMemberships(now = new Date()) {
+  const expired = await User.find({
+    role: "vip",
+    vipExpiresAt: { $ne: null, $lte: now },
+  }).select("vipExpiresAt");
+
+  for (const user of expired) {
+    // Skip anyone whose membership was changed in the meantime
+    const result = await User.updateOne(
+      { _id: user._id, role: "vip", vipExpiresAt: user.vipExpiresAt },
+      { $set: { role: "normal", vipExpiresAt: null } }
+    );
+    if (result.modifiedCount === 0) continue;
+
+    await VipEvent.create({
+      userId: user._id,
+      action: "EXPIRED",
+      source: "system",
+      previousExpiresAt: user.vipExpiresAt,
+      expiresAt: null,
+    });
+  }
+}
+
+// Readable, unambiguous redemption code
+function generateCode() {
+  const alphabet = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+  const bytes = crypto.randomBytes(12);
+  const chars = [...bytes].map((byte) => alphabet[byte % alphabet.length]);
+  return `VIP-${chars.slice(0, 4).join("")}-${chars.slice(4, 8).join("")}-${chars.slice(8).join("")}`;
+}
+
+async function vipStatus(req, res) {
+  try {
+    const events = await VipEvent.find({ userId: req.user._id })
+      .select("action source expiresAt createdAt")
+      .sort({ createdAt: -1 })
+      .limit(20);
+
+    res.json({
+      success: true,
+      data: {
+        isVip: req.user.role === "vip",
+        expiresAt: req.user.role === "vip" ? req.user.vipExpiresAt : null,
+        history: events,
+      },
+    });
+  } catch (error) {
+    console.log("VIP Status Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+async function redeemVipCode(req, res) {
+  try {
+    const now = new Date();
+    const user = req.user;
+    const code = await VipCode.findOne({ code: req.body.code, isActive: true });
+
+    if (!code || (code.expiresAt && code.expiresAt < now)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired code",
+      });
+    }
+
+    if (user.role === "admin") {
+      return res.status(400).json({
+        success: false,
+        message: "Admins already have VIP access",
+      });
+    }
+
+    if (user.role === "vip" && !user.vipExpiresAt) {
+      return res.status(400).json({
+        success: false,
+        message: "You already have a permanent VIP membership",
+      });
+    }
+
+    // Also covers redemptions from before codes recorded their redeemers
+    if (await VipEvent.exists({ codeId: code._id, userId: user._id })) {
+      return res.status(400).json({
+        success: false,
+        message: "You have already redeemed this code",
+      });
+    }
+
+    // The user is recorded with the claim, so concurrent requests redeem it once
+    const claimed = await VipCode.updateOne(
+      {
+        _id: code._id,
+        isActive: true,
+        redeemedBy: { $ne: user._id },
+        $expr: { $lt: ["$redemptions", "$maxRedemptions"] },
+      },
+      { $inc: { redemptions: 1 }, $push: { redeemedBy: user._id } }
+    );
+
+    if (claimed.modifiedCount === 0) {
+      const redeemed = await VipCode.exists({ _id: code._id, redeemedBy: user._id });
+      return res.status(400).json({
+        success: false,
+        message: redeemed
+          ? "You have already redeemed this code"
+          : "This code has already been used",
+      });
+    }
+
+    // Time-bound codes add to any membership still running
+    let expiresAt = null;
+    if (code.durationDays) {
+      const from =
+        user.role === "vip" && user.vipExpiresAt > now ? user.vipExpiresAt : now;
+      expiresAt = new Date(from.getTime() + code.durationDays * DAY_MS);
+    }
+
+    await setMembership(user, { expiresAt, source: "code", codeId: code._id });
+
+    res.json({
+      success: true,
+      message: "VIP membership activated",
+      data: {
+        role: "vip",
+        expiresAt,
+      },
+    });
+  } catch (error) {
+    console.log("Redeem VIP Code Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+async function grantVip(req, res) {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    if (user.role === "admin") {
+      return res.status(400).json({
+        success: false,
+        message: "Admins already have VIP access",
+      });
+    }
+
+    // Without an end date the grant is permanent
+    const expiresAt = req.body.expiresAt || null;
+    const event = await setMembership(user, {
+      expiresAt,
+      source: "admin",
+      actorId: req.user._id,
+      note: req.body.note,
+    });
+
+    res.json({
+      success: true,
+      message:
+        event.action === "GRANTED"
+          ? "VIP membership granted successfully"
+          : "VIP membership updated successfully",
+      data: { event },
+    });
+  } catch (error) {
+    console.log("Grant VIP Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+async function revokeVip(req, res) {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user || user.role !== "vip") {
+      return res.status(400).json({
+        success: false,
+        message: "User is not a VIP member",
+      });
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { role: "normal", vipExpiresAt: null } }
+    );
+    const event = await VipEvent.create({
+      userId: user._id,
+      action: "REVOKED",
+      source: "admin",
+      actorId: req.user._id,
+      previousExpiresAt: user.vipExpiresAt,
+      expiresAt: null,
+      note: req.body && req.body.note,
+    });
+
+    res.json({
+      success: true,
+      message: "VIP membership revoked successfully",
+      data: { event },
+    });
+  } catch (error) {
+    console.log("Revoke VIP Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+async function getVipEvents(req, res) {
+  try {
+    const { page = 1, limit = 20, userId, action } = req.query;
+    const skip = (page - 1) * limit;
+
+    // Build filter object
+    const filter = {};
+    if (userId) filter.userId = userId;
+    if (action) filter.action = action;
+
+    const events = await VipEvent.find(filter)
+      .populate("userId", "name email")
+      .populate("actorId", "name email")
+      .populate("codeId", "code")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await VipEvent.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        events,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total,
+        },
+      },
+    });
+  } catch (error) {
+    console.log("Get VIP Events Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+async function createVipCodes(req, res) {
+  try {
+    const { count, ...settings } = req.body;
+
+    const codes = await VipCode.insertMany(
+      Array.from({ length: count }, () => ({
+        ...settings,
+        code: generateCode(),
+        createdBy: req.user._id,
+      }))
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `${codes.length} VIP code(s) created successfully`,
+      data: { codes },
+    });
+  } catch (error) {
+    console.log("Create VIP Codes Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+async function getVipCodes(req, res) {
+  try {
+    const { page = 1, limit = 20, active } = req.query;
+    const skip = (page - 1) * limit;
+
+    // Build filter object
+    const filter = {};
+    if (active !== undefined) filter.isActive = active === "true";
+
+    const codes = await VipCode.find(filter)
+      .populate("createdBy", "name email")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await VipCode.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        codes,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total,
+        },
+      },
+    });
+  } catch (error) {
+    console.log("Get VIP Codes Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+async function deactivateVipCode(req, res) {
+  try {
+    const code = await VipCode.findById(req.params.id);
+
+    if (!code || !code.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: "Code not found",
+      });
+    }
+
+    // Memberships already redeemed with it are unaffected
+    code.isActive = false;
+    await code.save();
+
+    res.json({
+      success: true,
+      message: "VIP code deactivated successfully",
+    });
+  } catch (error) {
+    console.log("Deactivate VIP Code Error: ", error);
+    return res.json({
+      success: false,
+      message: "Internal Server Error",
+    });
+  }
+}
+
+module.exports = {
+  expireVipMemberships,
+  vipStatus,
+  redeemVipCode,
+  grantVip,
+  revokeVip,
+  getVipEvents,
+  createVipCodes,
+  getVipCodes,
+  deactivateVipCode,
+};
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Prize = require('../models/Prize');
+
+const prize = status => new Prize({ status });
+
+test('prizes move through grant, claim, review and fulfilment', () => {
+  const admin = new mongoose.Types.ObjectId();
+  const granted = prize('GRANTED');
+
+  granted.transitionTo('CLAIMED');
+  granted.transitionTo('APPROVED', admin, 'Checked address');
+  granted.transitionTo('FULFILLED', admin);
+
+  assert.strictEqual(granted.status, 'FULFILLED');
+  assert.deepStrictEqual(
+    granted.statusHistory.map(entry => [entry.from, entry.to]),
+    [['GRANTED', 'CLAIMED'], ['CLAIMED', 'APPROVED'], ['APPROVED', 'FULFILLED']]
+  );
+  assert.strictEqual(granted.statusHistory[0].changedBy, null);
+  assert.ok(granted.statusHistory[1].changedBy.equals(admin));
+  assert.strictEqual(granted.statusHistory[1].note, 'Checked address');
+});
+
+test('pending prizes can be granted or rejected, claims approved or rejected', () => {
+  assert.ok(prize('PENDING').canTransitionTo('GRANTED'));
+  assert.ok(prize('PENDING').canTransitionTo('REJECTED'));
+  assert.ok(prize('CLAIMED').canTransitionTo('APPROVED'));
+  assert.ok(prize('CLAIMED').canTransitionTo('REJECTED'));
+});
+
+test('steps cannot be skipped and final statuses stay final', () => {
+  assert.ok(!prize('GRANTED').canTransitionTo('FULFILLED'));
+  assert.ok(!prize('GRANTED').canTransitionTo('APPROVED'));
+  assert.ok(!prize('APPROVED').canTransitionTo('REJECTED'));
+  assert.ok(!prize('REJECTED').canTransitionTo('GRANTED'));
+  assert.ok(!prize('FULFILLED').canTransitionTo('CLAIMED'));
+});
+
+test('an invalid transition throws and leaves the prize unchanged', () => {
+  const granted = prize('GRANTED');
+
+  assert.throws(() => granted.transitionTo('FULFILLED'), /Cannot move prize from GRANTED to FULFILLED/);
+  assert.strictEqual(granted.status, 'GRANTED');
+  assert.strictEqual(granted.statusHistory.length, 0);
+});
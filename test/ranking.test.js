@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const rankingService = require('../services/rankingService');
+
+const at = seconds => new Date(Date.UTC(2026, 0, 1, 12, 0, seconds));
+
+// Already in leaderboard order for the default rules
+const participants = [
+  { name: 'a', score: 10, correctAnswers: 5, timeSpent: 90, submittedAt: at(1) },
+  { name: 'b', score: 8, correctAnswers: 4, timeSpent: 60, submittedAt: at(2) },
+  { name: 'c', score: 8, correctAnswers: 4, timeSpent: 60, submittedAt: at(3) },
+  { name: 'd', score: 5, correctAnswers: 2, timeSpent: 30, submittedAt: at(4) }
+];
+
+const rules = (method, tieBreakers = []) => ({ method, tieBreakers });
+
+test('contests without ranking settings use ordinal ranks broken by submission time', () => {
+  assert.deepStrictEqual(rankingService.rankingOf({}), {
+    method: 'ordinal',
+    tieBreakers: ['submittedAt']
+  });
+  assert.deepStrictEqual(
+    rankingService.rankingOf({ ranking: { method: 'dense', tieBreakers: ['bogus', 'timeSpent'] } }),
+    { method: 'dense', tieBreakers: ['timeSpent'] }
+  );
+});
+
+test('ordinal ranks are unique even for tied scores', () => {
+  assert.deepStrictEqual(rankingService.assignRanks(rules('ordinal'), participants), [1, 2, 3, 4]);
+});
+
+test('competition ranks share a place and skip the next (1224)', () => {
+  assert.deepStrictEqual(rankingService.assignRanks(rules('competition'), participants), [1, 2, 2, 4]);
+});
+
+test('dense ranks share a place without gaps (1223)', () => {
+  assert.deepStrictEqual(rankingService.assignRanks(rules('dense'), participants), [1, 2, 2, 3]);
+});
+
+test('a tie-breaker that separates participants stops them sharing a rank', () => {
+  const ranks = rankingService.assignRanks(rules('competition', ['submittedAt']), participants);
+  assert.deepStrictEqual(ranks, [1, 2, 3, 4]);
+});
+
+test('the comparator orders by score, then tie-breakers in their direction, then submission', () => {
+  const shuffled = [participants[3], participants[2], participants[0], participants[1]];
+  const byTime = [...shuffled].sort(rankingService.compareFor(rules('ordinal', ['timeSpent'])));
+  assert.deepStrictEqual(byTime.map(p => p.name), ['a', 'b', 'c', 'd']);
+
+  const slow = { ...participants[2], name: 'slow', timeSpent: 120, submittedAt: at(0) };
+  const sorted = [slow, participants[1]].sort(rankingService.compareFor(rules('ordinal', ['timeSpent'])));
+  assert.deepStrictEqual(sorted.map(p => p.name), ['b', 'slow']);
+});
+
+test('the database sort mirrors the comparator', () => {
+  assert.deepStrictEqual(rankingService.sortFor(rules('ordinal', ['correctAnswers', 'timeSpent'])), {
+    score: -1,
+    correctAnswers: -1,
+    timeSpent: 1,
+    submittedAt: 1,
+    _id: 1
+  });
+});
+
+test('placements count those ranked ahead, so dense ties do not move later places up', () => {
+  const dense = rankingService.assignRanks(rules('dense'), participants);
+
+  assert.deepStrictEqual(rankingService.placements(dense), [1, 2, 2, 4]);
+  assert.deepStrictEqual(rankingService.placements([1, 2, 3, 4]), [1, 2, 3, 4]);
+  assert.deepStrictEqual(rankingService.placements([1, 1, 1]), [1, 1, 1]);
+});
+
+test('percentiles count those ranked below, with ties counting half', () => {
+  assert.deepStrictEqual(rankingService.percentiles([1, 2, 2, 4]), [100, 50, 50, 0]);
+  assert.deepStrictEqual(rankingService.percentiles([1]), [100]);
+  assert.deepStrictEqual(rankingService.percentiles([1, 1]), [50, 50]);
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ratingChanges } = require('../services/ratingService');
+
+const player = (rating, rank, ratedContests = 10) => ({ rating, rank, ratedContests });
+
+test('a contest with a single participant changes nothing', () => {
+  assert.deepStrictEqual(ratingChanges([player(1500, 1)]), [0]);
+});
+
+test('between equal ratings the winner gains what the loser drops', () => {
+  assert.deepStrictEqual(ratingChanges([player(1500, 1), player(1500, 2)]), [16, -16]);
+});
+
+test('a draw between equal ratings changes nothing', () => {
+  const changes = ratingChanges([player(1500, 1), player(1500, 1)]);
+  assert.deepStrictEqual(changes.map(Math.abs), [0, 0]);
+});
+
+test('beating a stronger player is worth more than beating a weaker one', () => {
+  const [upset] = ratingChanges([player(1400, 1), player(1600, 2)]);
+  const [expected] = ratingChanges([player(1600, 1), player(1400, 2)]);
+
+  assert.ok(upset > expected);
+  assert.ok(expected > 0);
+});
+
+test('provisional players move twice as fast', () => {
+  const [settled] = ratingChanges([player(1500, 1), player(1500, 2)]);
+  const [newcomer] = ratingChanges([player(1500, 1, 0), player(1500, 2)]);
+
+  assert.strictEqual(newcomer, settled * 2);
+});
+
+test('changes are averaged over the field, so larger contests do not swing more', () => {
+  const changes = ratingChanges([player(1500, 1), player(1500, 2), player(1500, 3), player(1500, 4)]);
+
+  assert.deepStrictEqual(changes, [16, 5, -5, -16]);
+  assert.strictEqual(changes.reduce((sum, change) => sum + change, 0), 0);
+});
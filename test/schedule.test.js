@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ContestTemplate = require('../models/ContestTemplate');
+
+const template = schedule => new ContestTemplate({ schedule: { enabled: true, ...schedule } });
+const utc = iso => new Date(iso);
+
+test('a daily schedule starts later the same day when the time has not passed', () => {
+  const daily = template({ frequency: 'daily', time: '18:00' });
+  assert.deepStrictEqual(daily.nextStartAfter(utc('2026-03-04T09:00:00Z')), utc('2026-03-04T18:00:00Z'));
+});
+
+test('a daily schedule rolls over to tomorrow once the time has passed', () => {
+  const daily = template({ frequency: 'daily', time: '18:00' });
+  assert.deepStrictEqual(daily.nextStartAfter(utc('2026-03-04T18:00:00Z')), utc('2026-03-05T18:00:00Z'));
+  assert.deepStrictEqual(daily.nextStartAfter(utc('2026-03-04T20:00:00Z')), utc('2026-03-05T18:00:00Z'));
+});
+
+test('a weekly schedule starts on the next matching weekday', () => {
+  // 2026-03-04 is a Wednesday; dayOfWeek 5 is Friday
+  const weekly = template({ frequency: 'weekly', dayOfWeek: 5, time: '12:30' });
+  assert.deepStrictEqual(weekly.nextStartAfter(utc('2026-03-04T09:00:00Z')), utc('2026-03-06T12:30:00Z'));
+});
+
+test('a weekly schedule skips a full week once this week\'s start has passed', () => {
+  const weekly = template({ frequency: 'weekly', dayOfWeek: 3, time: '08:00' });
+  assert.deepStrictEqual(weekly.nextStartAfter(utc('2026-03-04T09:00:00Z')), utc('2026-03-11T08:00:00Z'));
+});
+
+test('the time is read in the schedule\'s UTC offset', () => {
+  // 01:00 at UTC+02:00 is 23:00 UTC the day before
+  const daily = template({ frequency: 'daily', time: '01:00', utcOffsetMinutes: 120 });
+  assert.deepStrictEqual(daily.nextStartAfter(utc('2026-03-04T22:00:00Z')), utc('2026-03-04T23:00:00Z'));
+
+  // Friday 20:00 at UTC-05:00 is Saturday 01:00 UTC
+  const weekly = template({ frequency: 'weekly', dayOfWeek: 5, time: '20:00', utcOffsetMinutes: -300 });
+  assert.deepStrictEqual(weekly.nextStartAfter(utc('2026-03-04T09:00:00Z')), utc('2026-03-07T01:00:00Z'));
+});
+
+test('an incomplete schedule has no next start', () => {
+  assert.strictEqual(template({ frequency: 'weekly', time: '12:00' }).nextStartAfter(new Date()), null);
+});
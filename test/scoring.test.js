@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Participation = require('../models/Participation');
+
+const option = (text, isCorrect = false) => ({ option: text, isCorrect });
+
+const questions = [
+  { type: 'single-select', points: 2, options: [option('a', true), option('b'), option('c')] },
+  { type: 'multi-select', points: 4, options: [option('a', true), option('b', true), option('c'), option('d')] },
+  { type: 'numeric', points: 1, options: [], numericAnswer: { value: 9.81, tolerance: 0.05 } },
+  { type: 'short-text', points: 1, options: [], acceptedAnswers: ['Ada  Lovelace'] },
+  { type: 'ordering', points: 4, options: [option('1'), option('2'), option('3'), option('4')] }
+];
+
+function score(answers, scoring, extra = {}) {
+  const participation = new Participation({
+    userId: new mongoose.Types.ObjectId(),
+    contestId: new mongoose.Types.ObjectId(),
+    answers,
+    ...extra
+  });
+  const result = participation.calculateScore(questions, scoring);
+  return { participation, result };
+}
+
+const allCorrect = [
+  { questionIndex: 0, selectedOptions: [0] },
+  { questionIndex: 1, selectedOptions: [1, 0] },
+  { questionIndex: 2, numericAnswer: 9.8 },
+  { questionIndex: 3, textAnswer: ' ada lovelace ' },
+  { questionIndex: 4, selectedOptions: [0, 1, 2, 3] }
+];
+
+test('every question type scores full marks when answered correctly', () => {
+  const { participation, result } = score(allCorrect);
+
+  assert.strictEqual(result.score, 12);
+  assert.strictEqual(result.correctAnswers, 5);
+  assert.strictEqual(result.skippedAnswers, 0);
+  assert.ok(participation.isCompleted);
+  assert.deepStrictEqual(participation.answers.map(answer => answer.status), Array(5).fill('correct'));
+});
+
+test('all-or-nothing gives no credit for a partly right multi-select or ordering', () => {
+  const { result } = score([
+    { questionIndex: 1, selectedOptions: [0] },
+    { questionIndex: 4, selectedOptions: [0, 1, 3, 2] }
+  ]);
+
+  assert.strictEqual(result.score, 0);
+  assert.strictEqual(result.wrongAnswers, 2);
+  assert.strictEqual(result.skippedAnswers, 3);
+});
+
+test('partial mode credits multi-select picks, with wrong picks cancelling right ones', () => {
+  const { participation } = score(
+    [
+      { questionIndex: 1, selectedOptions: [0] },
+      { questionIndex: 0, selectedOptions: [1] }
+    ],
+    { mode: 'partial' }
+  );
+  assert.strictEqual(participation.answers[0].pointsEarned, 2);
+  assert.strictEqual(participation.answers[0].status, 'partial');
+
+  const { result } = score([{ questionIndex: 1, selectedOptions: [0, 2] }], { mode: 'partial' });
+  assert.strictEqual(result.pointsEarned, 0);
+});
+
+test('partial mode credits each ordering option in its place', () => {
+  const { result } = score([{ questionIndex: 4, selectedOptions: [0, 1, 3, 2] }], { mode: 'partial' });
+
+  assert.strictEqual(result.pointsEarned, 2);
+  assert.strictEqual(result.partialAnswers, 1);
+});
+
+test('numeric answers must fall within the tolerance', () => {
+  const { result } = score([{ questionIndex: 2, numericAnswer: 9.7 }]);
+  assert.strictEqual(result.wrongAnswers, 1);
+});
+
+test('wrong answers and skipped questions are penalised as fractions of their points', () => {
+  const { result } = score(
+    [
+      { questionIndex: 0, selectedOptions: [0] },
+      { questionIndex: 1, selectedOptions: [2] },
+      { questionIndex: 3, textAnswer: '   ' }
+    ],
+    { wrongAnswerPenalty: 0.25, skipPenalty: 0.5, scoreFloor: null }
+  );
+
+  // +2 earned; -1 for the wrong multi-select; skipped: numeric 0.5, short-text 0.5, ordering 2
+  assert.strictEqual(result.pointsEarned, 2);
+  assert.strictEqual(result.pointsDeducted, 4);
+  assert.strictEqual(result.score, -2);
+  assert.strictEqual(result.skippedAnswers, 3);
+});
+
+test('the score floor stops penalties pushing the score below it', () => {
+  const wrong = [{ questionIndex: 1, selectedOptions: [2] }];
+
+  assert.strictEqual(score(wrong, { wrongAnswerPenalty: 1 }).result.score, 0);
+  assert.strictEqual(score(wrong, { wrongAnswerPenalty: 1, scoreFloor: -2 }).result.score, -2);
+});
+
+test('only the questions dealt to the participant count', () => {
+  const { result } = score(allCorrect, {}, { questionSet: [0, 2] });
+
+  assert.strictEqual(result.score, 3);
+  assert.strictEqual(result.correctAnswers, 2);
+  assert.strictEqual(result.skippedAnswers, 0);
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Contest = require('../models/Contest');
+const Participation = require('../models/Participation');
+const { validateSubmitAnswers } = require('../middleware/validation');
+const { submitContest } = require('../services/userService');
+
+const option = (text, isCorrect = false) => ({ option: text, isCorrect });
+
+function setup(t, scoring) {
+  const now = Date.now();
+  const contest = new Contest({
+    name: 'Skips',
+    startTime: new Date(now - 60 * 60 * 1000),
+    endTime: new Date(now + 60 * 60 * 1000),
+    scoring,
+    questions: [
+      { question: 'Pick one', type: 'single-select', points: 2, options: [option('a', true), option('b')] },
+      { question: 'True?', type: 'true-false', points: 2, options: [option('True', true), option('False')] },
+      { question: 'How many?', type: 'numeric', points: 2, options: [], numericAnswer: { value: 3 } },
+      { question: 'Who?', type: 'short-text', points: 2, options: [], acceptedAnswers: ['Ada'] },
+      { question: 'Order', type: 'ordering', points: 2, options: [option('1'), option('2'), option('3')] }
+    ]
+  });
+  const user = { _id: new mongoose.Types.ObjectId() };
+  const participation = new Participation({ userId: user._id, contestId: contest._id });
+
+  t.mock.method(Contest, 'findById', async () => contest);
+  t.mock.method(Participation, 'findOne', async () => participation);
+  t.mock.method(participation, 'save', async () => participation);
+
+  return { contest, participation, user };
+}
+
+// Run the request through the body validator and the submit handler
+function submit(user, contest, body) {
+  return new Promise((resolve) => {
+    const res = {
+      statusCode: 200,
+      status(code) { this.statusCode = code; return this; },
+      json(payload) { resolve({ status: this.statusCode, body: payload }); return this; }
+    };
+    const req = { user, params: { id: contest._id.toString() }, body };
+    validateSubmitAnswers(req, res, () => submitContest(req, res));
+  });
+}
+
+test('omitted and blank answers of any type are accepted and scored as skips', async (t) => {
+  const { contest, participation, user } = setup(t, { skipPenalty: 0.25, scoreFloor: null });
+
+  const { status, body } = await submit(user, contest, {
+    answers: [
+      { questionIndex: 0, selectedOptions: [0] },
+      { questionIndex: 1, selectedOptions: [] },
+      { questionIndex: 2, numericAnswer: null },
+      { questionIndex: 3, textAnswer: '  ' }
+    ]
+  });
+
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.success, true);
+  assert.strictEqual(body.data.correctAnswers, 1);
+  assert.strictEqual(body.data.skippedAnswers, 4);
+  assert.strictEqual(body.data.pointsDeducted, 2);
+  assert.strictEqual(body.data.score, 0);
+  assert.deepStrictEqual(
+    participation.answers.map(answer => answer.status),
+    ['correct', 'skipped', 'skipped', 'skipped']
+  );
+});
+
+test('the score floor applies when skip penalties outweigh the points earned', async (t) => {
+  const { contest, user } = setup(t, { skipPenalty: 0.5 });
+
+  const { body } = await submit(user, contest, { answers: [] });
+
+  assert.strictEqual(body.success, true);
+  assert.strictEqual(body.data.skippedAnswers, 5);
+  assert.strictEqual(body.data.pointsDeducted, 5);
+  assert.strictEqual(body.data.score, 0);
+});
+
+test('answers that are filled in must still fit their question', async (t) => {
+  const { contest, user } = setup(t, {});
+
+  const { status, body } = await submit(user, contest, {
+    answers: [{ questionIndex: 4, selectedOptions: [0, 1] }]
+  });
+
+  assert.strictEqual(status, 400);
+  assert.match(body.message, /every option exactly once/);
+});
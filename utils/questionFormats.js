@@ -0,0 +1,560 @@
+// Bulk question formats: JSON, CSV and Moodle GIFT.
+//
+// Parsing only turns text into addQuestion-shaped objects and reports what
+// could not be read; whether a question is valid is decided by the caller.
+// Each parsed row carries `row`: the item number for JSON and the line
+// number for CSV and GIFT.
+//
+// CSV columns: questionText, type, points, options, correct, numericAnswer,
+// tolerance, acceptedAnswers, caseSensitive, normalizeWhitespace. Lists are
+// separated by "|" (escape a literal "|" as "\|"), `correct` holds 1-based
+// option numbers, and ordering questions list their options in order.
+//
+// GIFT has no points, case sensitivity or ordering questions: imported
+// questions get the defaults and ordering questions are left out on export.
+
+const FORMATS = ["json", "csv", "gift"];
+
+const CONTENT_TYPES = {
+  json: "application/json",
+  csv: "text/csv",
+  gift: "text/plain",
+};
+
+const FILE_EXTENSIONS = {
+  json: "json",
+  csv: "csv",
+  gift: "gift.txt",
+};
+
+const CSV_COLUMNS = [
+  "questionText",
+  "type",
+  "points",
+  "options",
+  "correct",
+  "numericAnswer",
+  "tolerance",
+  "acceptedAnswers",
+  "caseSensitive",
+  "normalizeWhitespace",
+];
+
+const OPTION_TYPES = ["single-select", "multi-select", "true-false", "ordering"];
+
+// The fields an export writes for a question, by type
+function plainQuestion(question) {
+  const plain = {
+    questionText: question.questionText,
+    type: question.type,
+    points: question.points,
+  };
+
+  if (question.type === "numeric") {
+    plain.numericAnswer = {
+      value: question.numericAnswer.value,
+      tolerance: question.numericAnswer.tolerance,
+    };
+  } else if (question.type === "short-text") {
+    plain.acceptedAnswers = [...question.acceptedAnswers];
+    plain.caseSensitive = question.caseSensitive;
+    plain.normalizeWhitespace = question.normalizeWhitespace;
+  } else if (question.type === "ordering") {
+    plain.options = question.options.map((option) => ({ option: option.option }));
+  } else {
+    plain.options = question.options.map((option) => ({
+      option: option.option,
+      isCorrect: option.isCorrect,
+    }));
+  }
+
+  return plain;
+}
+
+// ---- JSON ----
+
+function parseJson(content) {
+  let parsed;
+  try {
+    parsed = JSON.parse(content);
+  } catch (error) {
+    return { rows: [], error: `Invalid JSON: ${error.message}` };
+  }
+
+  const items = Array.isArray(parsed) ? parsed : parsed && parsed.questions;
+  if (!Array.isArray(items)) {
+    return {
+      rows: [],
+      error: "JSON must be an array of questions or an object with a questions array",
+    };
+  }
+
+  const rows = items.map((item, index) => {
+    const isObject = item !== null && typeof item === "object" && !Array.isArray(item);
+    return {
+      row: index + 1,
+      question: isObject ? item : {},
+      errors: isObject ? [] : ["Question must be an object"],
+    };
+  });
+
+  return { rows, error: null };
+}
+
+function formatJson(questions) {
+  return JSON.stringify({ questions: questions.map(plainQuestion) }, null, 2);
+}
+
+// ---- CSV ----
+
+// RFC 4180 records, each with the line it starts on
+function csvRecords(content) {
+  const records = [];
+  let record = [];
+  let field = "";
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === "\n") line++;
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      record.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && content[i + 1] === "\n") i++;
+      record.push(field);
+      records.push({ line: recordLine, fields: record });
+      record = [];
+      field = "";
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || record.length > 0) {
+    record.push(field);
+    records.push({ line: recordLine, fields: record });
+  }
+
+  if (quoted) {
+    return { records, error: `Unterminated quoted field starting on line ${recordLine}` };
+  }
+
+  // Blank lines are not rows
+  return {
+    records: records.filter(
+      (entry) => !(entry.fields.length === 1 && entry.fields[0].trim() === "")
+    ),
+    error: null,
+  };
+}
+
+// Split a "|"-separated cell, honouring "\|" and "\\" escapes
+function splitList(cell) {
+  const items = [];
+  let item = "";
+  for (let i = 0; i < cell.length; i++) {
+    if (cell[i] === "\\" && (cell[i + 1] === "|" || cell[i + 1] === "\\")) {
+      item += cell[i + 1];
+      i++;
+    } else if (cell[i] === "|") {
+      items.push(item.trim());
+      item = "";
+    } else {
+      item += cell[i];
+    }
+  }
+  items.push(item.trim());
+  return items.filter((entry) => entry !== "");
+}
+
+const joinList = (items) =>
+  items.map((item) => String(item).replace(/[\\|]/g, "\\$&")).join("|");
+
+// One CSV record to an addQuestion-shaped object
+function csvQuestion(cells) {
+  const question = {};
+  const errors = [];
+
+  if (cells.questionText !== "") question.questionText = cells.questionText;
+  if (cells.type !== "") question.type = cells.type;
+  if (cells.points !== "") question.points = cells.points;
+  if (cells.caseSensitive !== "") question.caseSensitive = cells.caseSensitive;
+  if (cells.normalizeWhitespace !== "") {
+    question.normalizeWhitespace = cells.normalizeWhitespace;
+  }
+
+  if (cells.numericAnswer !== "" || cells.tolerance !== "" || question.type === "numeric") {
+    question.numericAnswer = {};
+    if (cells.numericAnswer !== "") question.numericAnswer.value = cells.numericAnswer;
+    if (cells.tolerance !== "") question.numericAnswer.tolerance = cells.tolerance;
+  }
+
+  if (cells.acceptedAnswers !== "" || question.type === "short-text") {
+    question.acceptedAnswers = splitList(cells.acceptedAnswers);
+  }
+
+  let options = splitList(cells.options);
+  // True/false rows may leave the options out and give correct as true or false
+  if (question.type === "true-false" && options.length === 0) {
+    options = ["True", "False"];
+  }
+
+  if (options.length > 0 || OPTION_TYPES.includes(question.type)) {
+    let correct = splitList(cells.correct);
+    if (question.type === "true-false" && correct.length === 1) {
+      const answer = correct[0].toLowerCase();
+      if (answer === "true") correct = ["1"];
+      if (answer === "false") correct = ["2"];
+    }
+
+    const correctNumbers = new Set();
+    correct.forEach((entry) => {
+      const number = Number(entry);
+      if (!Number.isInteger(number) || number < 1 || number > options.length) {
+        errors.push(`Correct option "${entry}" does not match any option`);
+      } else {
+        correctNumbers.add(number);
+      }
+    });
+
+    question.options = options.map((option, index) =>
+      question.type === "ordering"
+        ? { option }
+        : { option, isCorrect: correctNumbers.has(index + 1) }
+    );
+  }
+
+  return { question, errors };
+}
+
+function parseCsv(content) {
+  const { records, error } = csvRecords(content);
+  if (error) return { rows: [], error };
+  if (records.length === 0) return { rows: [], error: "CSV is empty" };
+
+  const header = records[0].fields.map((name) => name.trim());
+  const missing = ["questionText", "type"].filter((name) => !header.includes(name));
+  if (missing.length > 0) {
+    return { rows: [], error: `CSV header is missing: ${missing.join(", ")}` };
+  }
+
+  const unknown = header.filter((name) => name !== "" && !CSV_COLUMNS.includes(name));
+  if (unknown.length > 0) {
+    return { rows: [], error: `Unknown CSV columns: ${unknown.join(", ")}` };
+  }
+
+  const rows = records.slice(1).map(({ line, fields }) => {
+    const cells = {};
+    CSV_COLUMNS.forEach((name) => {
+      const position = header.indexOf(name);
+      cells[name] = position === -1 ? "" : (fields[position] || "").trim();
+    });
+
+    const { question, errors } = csvQuestion(cells);
+    if (fields.length > header.length) {
+      errors.push(`Row has ${fields.length} fields but the header has ${header.length}`);
+    }
+    return { row: line, question, errors };
+  });
+
+  return { rows, error: null };
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatCsv(questions) {
+  const lines = [CSV_COLUMNS.join(",")];
+
+  questions.map(plainQuestion).forEach((question) => {
+    const options = question.options || [];
+    const cells = {
+      questionText: question.questionText,
+      type: question.type,
+      points: question.points,
+      options: joinList(options.map((option) => option.option)),
+      correct: options
+        .map((option, index) => (option.isCorrect ? index + 1 : null))
+        .filter((number) => number !== null)
+        .join("|"),
+      numericAnswer: question.numericAnswer ? question.numericAnswer.value : "",
+      tolerance: question.numericAnswer ? question.numericAnswer.tolerance : "",
+      acceptedAnswers: question.acceptedAnswers ? joinList(question.acceptedAnswers) : "",
+      caseSensitive: question.caseSensitive === undefined ? "" : question.caseSensitive,
+      normalizeWhitespace:
+        question.normalizeWhitespace === undefined ? "" : question.normalizeWhitespace,
+    };
+    lines.push(CSV_COLUMNS.map((name) => csvField(cells[name])).join(","));
+  });
+
+  return lines.join("\n") + "\n";
+}
+
+// ---- GIFT ----
+
+const GIFT_SPECIAL = /[~=#{}:\\]/g;
+
+const giftEscape = (text) => String(text).replace(GIFT_SPECIAL, "\\$&");
+
+const giftUnescape = (text) =>
+  text.replace(/\\n/g, "\n").replace(/\\([~=#{}:\\])/g, "$1").trim();
+
+// Index of the first unescaped occurrence of one of chars, from start
+function findUnescaped(text, chars, start = 0) {
+  for (let i = start; i < text.length; i++) {
+    if (text[i] === "\\") {
+      i++;
+    } else if (chars.includes(text[i])) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+// Split an answer block into "=" / "~" answers, dropping per-answer feedback
+function giftAnswers(body) {
+  const answers = [];
+  let position = findUnescaped(body, "=~");
+
+  while (position !== -1) {
+    const next = findUnescaped(body, "=~", position + 1);
+    let text = body.slice(position + 1, next === -1 ? body.length : next);
+
+    const feedback = findUnescaped(text, "#");
+    if (feedback !== -1) text = text.slice(0, feedback);
+
+    const weight = text.match(/^\s*%(-?\d+(?:\.\d+)?)%/);
+    if (weight) text = text.slice(weight[0].length);
+
+    answers.push({
+      marker: body[position],
+      weight: weight ? Number(weight[1]) : null,
+      text: giftUnescape(text),
+    });
+    position = next;
+  }
+
+  return answers;
+}
+
+// "value", "value:tolerance" or "min..max"
+function giftNumber(body) {
+  let text = body;
+  const first = findUnescaped(text, "=");
+  if (first !== -1) {
+    const next = findUnescaped(text, "=~", first + 1);
+    text = text.slice(first + 1, next === -1 ? text.length : next);
+  }
+  const feedback = findUnescaped(text, "#");
+  if (feedback !== -1) text = text.slice(0, feedback);
+  text = text.replace(/^\s*%-?\d+(?:\.\d+)?%/, "").trim();
+
+  const range = text.match(/^(-?[\d.]+)\s*\.\.\s*(-?[\d.]+)$/);
+  if (range) {
+    const min = Number(range[1]);
+    const max = Number(range[2]);
+    return { value: (min + max) / 2, tolerance: Math.abs(max - min) / 2 };
+  }
+
+  const [value, tolerance] = text.split(":");
+  const numericAnswer = { value: value.trim() === "" ? undefined : Number(value) };
+  if (tolerance !== undefined) numericAnswer.tolerance = Number(tolerance);
+  return numericAnswer;
+}
+
+// One GIFT question (without comments) to an addQuestion-shaped object
+function giftQuestion(block) {
+  let text = block.trim();
+
+  // ::title:: is optional and not kept
+  if (text.startsWith("::")) {
+    const end = text.indexOf("::", 2);
+    if (end !== -1) text = text.slice(end + 2).trim();
+  }
+  text = text.replace(/^\[(html|moodle|plain|markdown)\]/, "");
+
+  const open = findUnescaped(text, "{");
+  const close = open === -1 ? -1 : findUnescaped(text, "}", open);
+  if (open === -1 || close === -1) {
+    return { question: {}, errors: ["Question has no {answer} block"] };
+  }
+
+  const before = giftUnescape(text.slice(0, open));
+  const after = giftUnescape(text.slice(close + 1));
+  const body = text.slice(open + 1, close).trim();
+  const question = {
+    // Missing-word questions keep a blank where the answers were
+    questionText: after ? `${before} _____ ${after}` : before,
+  };
+
+  if (body === "") {
+    return { question, errors: ["Essay questions are not supported"] };
+  }
+
+  if (body.startsWith("#")) {
+    question.type = "numeric";
+    question.numericAnswer = giftNumber(body.slice(1));
+    return { question, errors: [] };
+  }
+
+  const trueFalse = body.match(/^(T|TRUE|F|FALSE)\b/i);
+  if (trueFalse) {
+    const isTrue = trueFalse[1].toUpperCase().startsWith("T");
+    question.type = "true-false";
+    question.options = [
+      { option: "True", isCorrect: isTrue },
+      { option: "False", isCorrect: !isTrue },
+    ];
+    return { question, errors: [] };
+  }
+
+  if (/(^|[^\\])->/.test(body)) {
+    return { question, errors: ["Matching questions are not supported"] };
+  }
+
+  const answers = giftAnswers(body);
+  if (answers.length === 0) {
+    return { question, errors: ["Answer block has no answers"] };
+  }
+
+  if (answers.every((answer) => answer.marker === "=")) {
+    question.type = "short-text";
+    question.acceptedAnswers = answers.map((answer) => answer.text);
+    return { question, errors: [] };
+  }
+
+  // Weighted answers mean several options may be right
+  const weighted = answers.some((answer) => answer.weight !== null);
+  question.options = answers.map((answer) => ({
+    option: answer.text,
+    isCorrect: answer.marker === "=" || answer.weight > 0,
+  }));
+  const correctCount = question.options.filter((option) => option.isCorrect).length;
+  question.type = weighted || correctCount > 1 ? "multi-select" : "single-select";
+  return { question, errors: [] };
+}
+
+function parseGift(content) {
+  const rows = [];
+  let block = [];
+  let blockLine = null;
+
+  const flush = () => {
+    if (block.length > 0) {
+      const { question, errors } = giftQuestion(block.join("\n"));
+      rows.push({ row: blockLine, question, errors });
+    }
+    block = [];
+    blockLine = null;
+  };
+
+  content.split(/\r?\n/).forEach((line, index) => {
+    const trimmed = line.trim();
+    if (trimmed === "") {
+      flush();
+    } else if (!trimmed.startsWith("//") && !trimmed.startsWith("$CATEGORY:")) {
+      if (blockLine === null) blockLine = index + 1;
+      block.push(line);
+    }
+  });
+  flush();
+
+  if (rows.length === 0) return { rows, error: "GIFT content has no questions" };
+  return { rows, error: null };
+}
+
+function giftBody(question) {
+  switch (question.type) {
+    case "numeric":
+      return `#${question.numericAnswer.value}:${question.numericAnswer.tolerance}`;
+    case "short-text":
+      return question.acceptedAnswers.map((answer) => `=${giftEscape(answer)}`).join(" ");
+    case "true-false": {
+      const [first, second] = question.options;
+      const labels = [first.option, second.option].map((label) => label.toLowerCase());
+      if (labels[0] === "true" && labels[1] === "false") {
+        return first.isCorrect ? "TRUE" : "FALSE";
+      }
+      if (labels[0] === "false" && labels[1] === "true") {
+        return second.isCorrect ? "TRUE" : "FALSE";
+      }
+      break;
+    }
+    case "multi-select": {
+      const correctCount = question.options.filter((option) => option.isCorrect).length;
+      const weight = Math.round((100 / correctCount) * 100000) / 100000;
+      return question.options
+        .map((option) =>
+          option.isCorrect
+            ? `~%${weight}%${giftEscape(option.option)}`
+            : `~%-100%${giftEscape(option.option)}`
+        )
+        .join(" ");
+    }
+    default:
+      break;
+  }
+
+  // single-select, and true-false with custom labels
+  return question.options
+    .map((option) => `${option.isCorrect ? "=" : "~"}${giftEscape(option.option)}`)
+    .join(" ");
+}
+
+function formatGift(questions) {
+  const blocks = questions.map((question, index) => {
+    if (question.type === "ordering") {
+      return `// Question ${index + 1} (ordering) cannot be expressed in GIFT and was skipped`;
+    }
+    return `::Q${index + 1}:: ${giftEscape(question.questionText)} {${giftBody(question)}}`;
+  });
+
+  return blocks.join("\n\n") + "\n";
+}
+
+const PARSERS = { json: parseJson, csv: parseCsv, gift: parseGift };
+const FORMATTERS = { json: formatJson, csv: formatCsv, gift: formatGift };
+
+/**
+ * Read questions from text in one of FORMATS.
+ * Returns { rows: [{ row, question, errors }], error } where error is a
+ * problem with the content as a whole (nothing could be read).
+ */
+function parseQuestions(format, content) {
+  return PARSERS[format](content);
+}
+
+// Write contest questions as text in one of FORMATS
+function formatQuestions(format, questions) {
+  return FORMATTERS[format](questions);
+}
+
+module.exports = {
+  FORMATS,
+  CONTENT_TYPES,
+  FILE_EXTENSIONS,
+  parseQuestions,
+  formatQuestions,
+};
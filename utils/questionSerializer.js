@@ -0,0 +1,199 @@
+const { seededShuffle, seededPermutation } = require("./shuffle.js");
+
+// Participant-facing views of contest questions and answers. Correctness
+// data is only included once the contest's answerReveal policy allows it.
+//
+// Participants see questions and options in their own layout (shuffled per
+// participation when the contest asks for it). Every index in a participant
+// view is a display index; answers are stored with canonical indices and
+// translated on the way in and out.
+
+// Whether correct answers may be shown to this participant (or guest) right now
+function canRevealAnswers(contest, participation, now = new Date()) {
+  switch (contest.answerReveal) {
+    case "never":
+      return false;
+    case "after-submission":
+      return (
+        Boolean(participation && participation.isCompleted) ||
+        now > contest.endTime
+      );
+    case "after-end":
+    default:
+      return now > contest.endTime;
+  }
+}
+
+const identity = (length) => Array.from({ length }, (_, index) => index);
+
+// Invert a display->canonical order into canonical->display
+function invert(order) {
+  const inverse = [];
+  order.forEach((canonical, display) => {
+    inverse[canonical] = display;
+  });
+  return inverse;
+}
+
+// Map an index through an order, leaving out-of-range indices as they are so they still fail validation
+const mapIndex = (order, index) =>
+  order && order[index] !== undefined ? order[index] : index;
+
+// An ordering question must never be shown in its stored (correct) order
+function scrambledOrder(length, seed) {
+  const order = seededPermutation(length, seed);
+  const unchanged = order.every((canonical, display) => canonical === display);
+  return unchanged ? [...order.slice(1), order[0]] : order;
+}
+
+/**
+ * Display layout for a participant: questionOrder[display] is the canonical
+ * index of each question dealt to them and optionOrders[canonical][display]
+ * the canonical option index (null when options keep their stored order).
+ * Seeded from the participation id so it is stable across requests.
+ */
+function layoutFor(contest, participation) {
+  const seed = participation ? String(participation._id) : null;
+  // Participants only see the questions dealt to them
+  const questionIndices = participation
+    ? participation.questionIndices(contest.questions.length)
+    : identity(contest.questions.length);
+
+  const questionOrder =
+    seed && contest.shuffleQuestions
+      ? seededShuffle(questionIndices, seed)
+      : questionIndices;
+
+  const optionOrders = contest.questions.map((question, index) => {
+    const optionCount = question.options.length;
+    const optionSeed =
+      seed && contest.shuffleOptions
+        ? `${seed}:${index}`
+        : String(question._id || index);
+
+    if (question.type === "ordering") {
+      return scrambledOrder(optionCount, optionSeed);
+    }
+    // True/false keeps its conventional order
+    if (
+      seed &&
+      contest.shuffleOptions &&
+      optionCount > 0 &&
+      question.type !== "true-false"
+    ) {
+      return seededPermutation(optionCount, optionSeed);
+    }
+    return null;
+  });
+
+  return { questionOrder, optionOrders };
+}
+
+function serializeQuestion(question, index, reveal, optionOrder = null) {
+  const view = {
+    index,
+    questionText: question.questionText,
+    type: question.type,
+    points: question.points,
+  };
+
+  if (question.type === "numeric") {
+    if (reveal) view.numericAnswer = question.numericAnswer;
+    return view;
+  }
+
+  if (question.type === "short-text") {
+    if (reveal) view.acceptedAnswers = question.acceptedAnswers;
+    return view;
+  }
+
+  const order = optionOrder || identity(question.options.length);
+  view.options = order.map((canonical, display) => {
+    const optionView = {
+      index: display,
+      option: question.options[canonical].option,
+    };
+    if (reveal && question.type !== "ordering") {
+      optionView.isCorrect = question.options[canonical].isCorrect;
+    }
+    return optionView;
+  });
+
+  // Stored order is the answer, so it is only shown once answers are revealed
+  if (question.type === "ordering" && reveal) {
+    const inverse = invert(order);
+    view.correctOrder = question.options.map((option, canonical) => inverse[canonical]);
+  }
+
+  return view;
+}
+
+function serializeQuestions(contest, participation, now = new Date()) {
+  const reveal = canRevealAnswers(contest, participation, now);
+  const { questionOrder, optionOrders } = layoutFor(contest, participation);
+
+  return questionOrder.map((canonical, display) =>
+    serializeQuestion(
+      contest.questions[canonical],
+      display,
+      reveal,
+      optionOrders[canonical]
+    )
+  );
+}
+
+// Translate an answer given in display indices into canonical indices
+function toCanonicalAnswer(layout, answer) {
+  const questionIndex = mapIndex(layout.questionOrder, answer.questionIndex);
+  const optionOrder = layout.optionOrders[questionIndex];
+
+  return {
+    ...answer,
+    questionIndex,
+    selectedOptions: (answer.selectedOptions || []).map((option) =>
+      mapIndex(optionOrder, option)
+    ),
+  };
+}
+
+// Translate a stored (canonical) answer into the participant's display indices
+function toDisplayAnswer(layout, answer) {
+  const optionOrder = layout.optionOrders[answer.questionIndex];
+  const optionInverse = optionOrder ? invert(optionOrder) : null;
+
+  return {
+    questionIndex: mapIndex(invert(layout.questionOrder), answer.questionIndex),
+    selectedOptions: (answer.selectedOptions || []).map((option) =>
+      mapIndex(optionInverse, option)
+    ),
+    numericAnswer: answer.numericAnswer,
+    textAnswer: answer.textAnswer,
+  };
+}
+
+// A participant's own answers; per-answer grading is hidden until reveal
+function serializeAnswers(contest, participation, now = new Date()) {
+  const reveal = canRevealAnswers(contest, participation, now);
+  const layout = layoutFor(contest, participation);
+
+  return participation.answers.map((answer) => {
+    const view = toDisplayAnswer(layout, answer);
+    if (reveal) {
+      view.isCorrect = answer.isCorrect;
+      view.pointsEarned = answer.pointsEarned;
+      view.pointsDeducted = answer.pointsDeducted;
+      view.status = answer.status;
+    }
+    return view;
+  });
+}
+
+module.exports = {
+  canRevealAnswers,
+  layoutFor,
+  serializeQuestion,
+  serializeQuestions,
+  toCanonicalAnswer,
+  toDisplayAnswer,
+  serializeAnswers,
+};
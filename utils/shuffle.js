@@ -0,0 +1,47 @@
+// Deterministic shuffling: the same seed always produces the same order.
+
+// 32-bit FNV-1a hash of a string
+function hashString(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// mulberry32 PRNG returning floats in [0, 1)
+function createRandom(seed) {
+  let state = hashString(String(seed));
+  return function() {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Fisher-Yates shuffle of a copy of items
+function seededShuffle(items, seed) {
+  const random = createRandom(seed);
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+// Shuffled indices 0..length-1
+function seededPermutation(length, seed) {
+  return seededShuffle(
+    Array.from({ length }, (_, index) => index),
+    seed
+  );
+}
+
+module.exports = {
+  createRandom,
+  seededShuffle,
+  seededPermutation,
+};